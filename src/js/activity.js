@@ -0,0 +1,154 @@
+/**
+ * Daily.dev Streak Keeper - Activity Log
+ *
+ * Shared helpers for the persistent activity log:
+ * - Records what the extension did (alarms, clicks, streak readings, syncs,
+ *   failsafes, storage migrations, errors) with a timestamp and outcome
+ * - Keeps only the newest entries
+ * - Loads the log for the diagnostics page and finds the latest failure
+ */
+
+"use strict";
+
+// Storage key holding the activity log, oldest entry first
+const ACTIVITY_LOG_KEY = "activityLog";
+
+// How many entries to keep before dropping the oldest
+const ACTIVITY_LOG_MAX_ENTRIES = 500;
+
+// What an entry is about, with the name shown on the diagnostics page
+const ACTIVITY_CATEGORIES = {
+  alarm: "Alarm",
+  click: "Article click",
+  extraction: "Streak reading",
+  read: "Auto-read",
+  sync: "Sync",
+  failsafe: "Failsafe",
+  reminder: "Reminder",
+  migration: "Storage migration",
+  error: "Error",
+};
+
+// How it went, with the name shown on the diagnostics page
+const ACTIVITY_OUTCOMES = {
+  success: "Success",
+  failure: "Failure",
+  skipped: "Skipped",
+  info: "Info",
+};
+
+// Writes are chained so entries recorded close together don't overwrite each other
+let activityLogWrite = Promise.resolve();
+
+/**
+ * Add an entry to the activity log
+ * @param {string} category - What the entry is about (see ACTIVITY_CATEGORIES)
+ * @param {string} outcome - How it went (see ACTIVITY_OUTCOMES)
+ * @param {string} message - What happened, in a sentence
+ * @param {Object} [details] - Extra data worth keeping (must be JSON-safe)
+ */
+function recordActivity(category, outcome, message, details) {
+  const entry = {
+    time: Date.now(),
+    category: category,
+    outcome: outcome,
+    message: message,
+  };
+  if (details !== undefined) {
+    entry.details = details;
+  }
+
+  activityLogWrite = activityLogWrite.then(
+    () =>
+      new Promise((resolve) => {
+        chrome.storage.local.get([ACTIVITY_LOG_KEY], (result) => {
+          if (chrome.runtime.lastError) {
+            console.error(
+              "Error accessing activity log:",
+              chrome.runtime.lastError
+            );
+            resolve();
+            return;
+          }
+
+          const log = [...(result[ACTIVITY_LOG_KEY] || []), entry].slice(
+            -ACTIVITY_LOG_MAX_ENTRIES
+          );
+          chrome.storage.local.set({ [ACTIVITY_LOG_KEY]: log }, () => {
+            if (chrome.runtime.lastError) {
+              console.error(
+                "Error updating activity log:",
+                chrome.runtime.lastError
+              );
+            }
+            resolve();
+          });
+        });
+      })
+  );
+}
+
+/**
+ * Turn an error of any shape into a message worth storing
+ * @param {*} error - An Error, chrome.runtime.lastError, string or other value
+ * @returns {string} The error message
+ */
+function getErrorMessage(error) {
+  if (typeof error === "string") {
+    return error;
+  }
+  if (error && error.message) {
+    return error.message;
+  }
+  try {
+    return JSON.stringify(error);
+  } catch (stringifyError) {
+    return String(error);
+  }
+}
+
+/**
+ * Load the activity log
+ * @param {function(Array<Object>): void} callback - Receives the entries, oldest first
+ */
+function loadActivityLog(callback) {
+  chrome.storage.local.get([ACTIVITY_LOG_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading activity log:", chrome.runtime.lastError);
+      callback([]);
+      return;
+    }
+
+    callback(result[ACTIVITY_LOG_KEY] || []);
+  });
+}
+
+/**
+ * Empty the activity log
+ * @param {function(boolean): void} [callback] - Receives whether it was cleared
+ */
+function clearActivityLog(callback) {
+  chrome.storage.local.set({ [ACTIVITY_LOG_KEY]: [] }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error clearing activity log:", chrome.runtime.lastError);
+      if (callback) callback(false);
+      return;
+    }
+
+    if (callback) callback(true);
+  });
+}
+
+/**
+ * Find the most recent failure in the activity log
+ * @param {Array<Object>} log - The entries, oldest first
+ * @returns {Object|null} The latest failed entry, or null if nothing failed
+ */
+function getLatestFailure(log) {
+  for (let i = log.length - 1; i >= 0; i--) {
+    if (log[i].outcome === "failure") {
+      return log[i];
+    }
+  }
+  return null;
+}
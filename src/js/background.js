@@ -4,32 +4,473 @@
  * This script handles the core functionality of the extension:
  * - Automatically clicks on articles when visiting daily.dev (only if streak not maintained)
  * - Tracks and updates streak information
- * - Sends reminder notifications
- * - Implements failsafe mechanism to maintain streak automatically
+ * - Records a per-day history of maintained days and how each was kept
+ * - Sends reminder notifications and handles their snooze and defer buttons
+ * - Holds reminders back during quiet hours and on days without reminders
+ * - Stays idle on paused days and records them in the history
+ * - Follows daily.dev's reading days and streak freezes, read by the sync
+ * - Implements failsafe mechanism to maintain streak automatically, in a
+ *   background tab or minimized window it closes again once the read is confirmed
+ * - Re-arms alarms and catches up on missed failsafes after startup or sleep
+ * - Runs syncs, auto-reads and failsafes one at a time through a job queue
+ *   that survives service worker restarts
+ * - Keeps an activity log of alarms, clicks, streak readings, jobs and errors
+ * - Logs to the console at the level chosen in the settings, and passes that
+ *   level on to the scripts it injects into daily.dev
+ * - Keeps a badge on the toolbar icon with the streak and how at risk it is
+ * - Mirrors the streak, recent history and settings through chrome.storage.sync
+ *   so a day maintained on one device counts on all of them
+ * - Keeps the stored streak across updates and migrates data stored by older
+ *   versions to the current layout
  */
 
 "use strict";
 
+importScripts(
+  "logger.js",
+  "settings.js",
+  "dates.js",
+  "history.js",
+  "selectors.js",
+  "rules.js",
+  "activity.js",
+  "backup.js",
+  "migrations.js"
+);
+
 // Constants
 const DAILY_DEV_URL = "https://app.daily.dev/";
 const ARTICLE_LOAD_DELAY_MS = 2000;
 const DAILY_CHECK_MINUTES = 1440; // 24 hours
+const ALARM_DRIFT_TOLERANCE_MS = 5 * 60 * 1000; // 5 minutes
+
+// Streak readings below this confidence never overwrite the stored count
+const MIN_STREAK_CONFIDENCE = 0.7;
+
+// Tabs where an auto-read is waiting for the article or running its reading
+// session, so their page loads don't start a second auto-read
+const tabsBeingRead = new Set();
+
+// Streak jobs (syncs, auto-reads and failsafes) run one at a time; the
+// running and queued jobs are kept in storage so a restarted service worker
+// can clean up after a job it lost and resume it
+const STREAK_JOBS_KEY = "streakJobs";
+// A job still running after this long is given up on so the queue moves on:
+// it stops at its next checkpoint and its tabs are closed
+const STREAK_JOB_TIMEOUT_MS = 30 * 60 * 1000;
+// How often a job interrupted by a restart is resumed before it's dropped
+const STREAK_JOB_MAX_RESUMES = 1;
+const STREAK_JOB_RUNNERS = {
+  sync: (params, signal) => syncStreakFromDailyDev(params, signal),
+  autoRead: (params, signal) => runAutoReadJob(params, signal),
+  failsafe: (params, signal) => executeStreakFailsafe(signal),
+};
+
+// Storage key holding the streak day the auto-read gave up on because no read
+// could be verified; later visits that day don't start another auto-read
+const AUTO_READ_GAVE_UP_KEY = "autoReadGaveUp";
+
+// The streak job running right now and the jobs waiting for it
+let runningStreakJob = null;
+const queuedStreakJobs = [];
+
+// Tabs the failsafe opened, keyed by tab ID, with the window it opened
+// (minimized presentation only), how it was opened and whether the user has
+// used it since; used tabs are never closed automatically
+const failsafeTabs = new Map();
+
+// Storage keys used to notice reminders and failsafes that never ran
+const ALARM_RUNS_KEY = "alarmRuns";
+// When each alarm was armed at its current time and timezone, keyed by alarm name
+const ALARMS_ARMED_KEY = "alarmsArmed";
+// Seconds without input before the computer counts as idle; long enough that
+// coming back means waking from sleep or returning from a break, rather than
+// chrome.idle's default of a minute
+const IDLE_DETECTION_SECONDS = 15 * 60;
+
+// Reminder notifications, their one-off snooze alarm and the user's responses
+const REMINDER_NOTIFICATION_PREFIX = "streakReminder-";
+const SNOOZE_ALARM = "snoozedReminder";
+const SNOOZE_MINUTES = 30;
+const REMINDER_RESPONSE_KEY = "reminderResponse";
+// Prefix of one-off alarms that send a reminder held back by quiet hours
+const QUIET_DELAY_ALARM_PREFIX = "quietDelayed-";
+
+// Alarm that refreshes the toolbar badge when its state next changes
+const BADGE_ALARM = "updateBadge";
+// How close to the end of the streak day the badge turns red and counts down
+const BADGE_URGENT_MINUTES = 60;
+const BADGE_COLORS = {
+  done: "#4caf50",
+  pending: "#6c757d",
+  warning: "#f0ad4e",
+  urgent: "#dc3545",
+};
+
+// Items in chrome.storage.sync mirroring the local state to the user's other devices
+const DEVICE_SYNC_STREAK_KEY = "streakState";
+const DEVICE_SYNC_SETTINGS_KEY = "settings";
+// When a backup last replaced the data on one of the devices
+const DEVICE_SYNC_REPLACED_AT_KEY = "replacedAt";
+// Followed by the month ("YYYY-MM"); each item holds that month's history days
+const DEVICE_SYNC_HISTORY_PREFIX = "history-";
+// Days of history mirrored; chrome.storage.sync only holds about 100 KB
+const DEVICE_SYNC_HISTORY_DAYS = 120;
+// Local changes are pushed after this long, so bursts of writes stay well
+// inside chrome.storage.sync's write quota
+const DEVICE_SYNC_PUSH_DELAY_MS = 5000;
+// Settings that belong to one device and are never mirrored: the timezone (a
+// laptop may be travelling), the console log level and how the failsafe opens
+const DEVICE_SYNC_LOCAL_SETTINGS = [
+  ["timezone"],
+  ["logLevel"],
+  ["failsafe", "presentation"],
+];
+// Storage key holding when the settings were edited on this device, until the
+// edit is pushed; stored so the edit survives the service worker stopping
+const DEVICE_SYNC_SETTINGS_PENDING_KEY = "deviceSyncSettingsPending";
+
+let deviceSyncTimer = null;
+// Settles once the running reconcile is done; reconciles run one at a time
+let deviceSyncRun = Promise.resolve();
+// The shared settings last copied in from another device, to tell their echo apart
+let lastSyncedSettings = null;
+
+// Console logger, replaced whenever the log level in the settings changes
+let logger = createLogger(DEFAULT_SETTINGS.logLevel, "background");
+loadSettings((settings) => {
+  logger = createLogger(settings.logLevel, "background");
+});
+
+// Settles once jobs left over from before a restart are back in the queue
+const streakJobsRecovered = recoverStreakJobs();
+
+/**
+ * Log an error to the console and to the activity log
+ * @param {string} message - What went wrong (e.g., "Error creating tab:")
+ * @param {*} [error] - The error, if there is one
+ */
+function logError(message, error) {
+  if (error === undefined) {
+    logger.error(message);
+  } else {
+    logger.error(message, error);
+  }
+
+  const text = message.replace(/:$/, "");
+  recordActivity(
+    "error",
+    "failure",
+    error === undefined ? text : `${text}: ${getErrorMessage(error)}`
+  );
+}
+
+/**
+ * Call a callback-style chrome API and wait for it
+ * @param {function(Function): void} invoke - Calls the API with the given callback
+ * @returns {Promise<*>} Resolves with the callback's argument, rejects with chrome.runtime.lastError
+ */
+function callChrome(invoke) {
+  return new Promise((resolve, reject) => {
+    invoke((result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - How long to wait in milliseconds
+ * @returns {Promise<void>} Resolves once the time is up
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Queue a streak job, or join an identical job that is already queued or running
+ * Jobs run one at a time, so tabs opened by one job never overlap another's.
+ * @param {string} kind - "sync", "autoRead" or "failsafe"
+ * @param {Object} [params={}] - Job parameters (autoRead needs tabId; sync takes manual)
+ * @returns {Promise<{success: boolean, error?: string}>} The job's outcome
+ */
+async function enqueueStreakJob(kind, params = {}) {
+  await streakJobsRecovered;
+
+  const key = kind === "autoRead" ? `${kind}:${params.tabId}` : kind;
+  const duplicate = [runningStreakJob, ...queuedStreakJobs].find(
+    (job) => job && job.key === key
+  );
+  if (duplicate) {
+    logger.debug(`Streak job ${key} is already queued, merging`);
+    return duplicate.promise;
+  }
+
+  const job = createStreakJob({
+    kind: kind,
+    key: key,
+    params: params,
+    resumes: 0,
+    tabIds: [],
+  });
+  queuedStreakJobs.push(job);
+  logger.debug(`Queued streak job ${key}`);
+
+  saveStreakJobs();
+  runNextStreakJob();
+  return job.promise;
+}
+
+/**
+ * Turn stored job state into a job with a promise settled when it finishes
+ * @param {Object} state - The job's kind, key, params, resumes and tabIds
+ * @returns {Object} The job
+ */
+function createStreakJob(state) {
+  const job = { ...state };
+  job.promise = new Promise((resolve) => {
+    job.resolve = resolve;
+  });
+  return job;
+}
+
+/**
+ * Start the next queued streak job if none is running
+ */
+async function runNextStreakJob() {
+  if (runningStreakJob || queuedStreakJobs.length === 0) {
+    return;
+  }
+
+  const job = queuedStreakJobs.shift();
+  runningStreakJob = job;
+  job.startedAt = Date.now();
+  job.controller = new AbortController();
+  saveStreakJobs();
+  logger.info(`Starting streak job ${job.key}`);
+
+  let timer = null;
+  let outcome;
+  try {
+    outcome = await Promise.race([
+      STREAK_JOB_RUNNERS[job.kind](job.params, job.controller.signal),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          job.controller.abort();
+          reject(new Error("The job took too long"));
+        }, STREAK_JOB_TIMEOUT_MS);
+      }),
+    ]);
+  } catch (error) {
+    logger.error(`Streak job ${job.key} failed:`, error);
+    outcome = { success: false, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // The job stops at its next checkpoint; its tabs go before the next job starts
+  if (job.controller.signal.aborted) {
+    if (job.kind === "autoRead") {
+      tabsBeingRead.delete(job.params.tabId);
+    }
+    await closeStreakJobTabs(job.tabIds);
+  }
+
+  logger.info(`Finished streak job ${job.key}:`, outcome);
+  const category = job.kind === "autoRead" ? "read" : job.kind;
+  recordActivity(
+    category,
+    outcome.success ? "success" : "failure",
+    outcome.success
+      ? `${ACTIVITY_CATEGORIES[category]} finished`
+      : `${ACTIVITY_CATEGORIES[category]} failed: ${outcome.error}`,
+    { job: job.key, params: job.params, resumes: job.resumes, outcome: outcome }
+  );
+  runningStreakJob = null;
+  saveStreakJobs();
+  job.resolve(outcome);
+
+  runNextStreakJob();
+}
+
+/**
+ * Stop a streak job at a checkpoint if it was given up on
+ * @param {AbortSignal} [signal] - The job's signal
+ * @throws {Error} If the job was given up on
+ */
+function checkStreakJobCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new Error("The job was given up on");
+  }
+}
+
+/**
+ * Close the tabs a streak job opened, leaving failsafe tabs the user has used
+ * @param {number[]} tabIds - The IDs of the job's tabs
+ * @returns {Promise<void>} Settles once the tabs are closed (or already gone)
+ */
+function closeStreakJobTabs(tabIds) {
+  return Promise.all(
+    tabIds.map((tabId) => {
+      tabsBeingRead.delete(tabId);
+      const failsafeTab = failsafeTabs.get(tabId);
+      if (failsafeTab && failsafeTab.interacted) {
+        logger.info("The failsafe tab was used, leaving it open");
+        return Promise.resolve();
+      }
+      failsafeTabs.delete(tabId);
+
+      return new Promise((resolve) =>
+        chrome.tabs.remove(tabId, () => {
+          // The tab may already be gone
+          if (chrome.runtime.lastError) {
+            logger.debug(`Tab ${tabId} of the streak job is gone`);
+          }
+          resolve();
+        })
+      );
+    })
+  ).then(() => undefined);
+}
+
+/**
+ * Note a tab the running streak job opened, so it can be closed if the
+ * service worker stops before the job does
+ * @param {number} tabId - The ID of the opened tab
+ */
+function trackStreakJobTab(tabId) {
+  if (runningStreakJob) {
+    runningStreakJob.tabIds.push(tabId);
+    saveStreakJobs();
+  }
+}
 
-// Reminder times
-const FIRST_REMINDER_HOUR = 19; // 7:00 PM
-const FIRST_REMINDER_MINUTE = 0;
-const SECOND_REMINDER_HOUR = 22; // 10:00 PM
-const SECOND_REMINDER_MINUTE = 0;
+/**
+ * Save the running and queued streak jobs to storage
+ */
+function saveStreakJobs() {
+  const toState = (job) => ({
+    kind: job.kind,
+    key: job.key,
+    params: job.params,
+    resumes: job.resumes,
+    tabIds: job.tabIds,
+  });
+
+  chrome.storage.local.set(
+    {
+      [STREAK_JOBS_KEY]: {
+        running: runningStreakJob ? toState(runningStreakJob) : null,
+        queued: queuedStreakJobs.map(toState),
+      },
+    },
+    () => {
+      if (chrome.runtime.lastError) {
+        logError("Error saving streak jobs:", chrome.runtime.lastError);
+      }
+    }
+  );
+}
+
+/**
+ * Pick up streak jobs a previous service worker left behind
+ * A job that was running when it stopped has its tabs closed and is resumed,
+ * unless it was already resumed before; queued jobs are queued again.
+ * @returns {Promise<void>} Settles once the jobs are back in the queue
+ */
+function recoverStreakJobs() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STREAK_JOBS_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        logError("Error loading streak jobs:", chrome.runtime.lastError);
+        resolve();
+        return;
+      }
+
+      const stored = result[STREAK_JOBS_KEY];
+      if (!stored || (!stored.running && stored.queued.length === 0)) {
+        resolve();
+        return;
+      }
+
+      const interrupted = stored.running;
+      const jobs = [];
+      if (interrupted) {
+        logger.info(
+          `Streak job ${interrupted.key} was interrupted, closing its tabs`
+        );
+        closeStreakJobTabs(interrupted.tabIds);
+
+        if (interrupted.resumes < STREAK_JOB_MAX_RESUMES) {
+          jobs.push({
+            ...interrupted,
+            resumes: interrupted.resumes + 1,
+            tabIds: [],
+          });
+        } else {
+          logger.info(`Dropping streak job ${interrupted.key}, resumed before`);
+        }
+      }
+      jobs.push(...stored.queued);
+
+      for (const state of jobs) {
+        logger.info(`Resuming streak job ${state.key}`);
+        queuedStreakJobs.push(createStreakJob(state));
+      }
+
+      saveStreakJobs();
+      resolve();
+      runNextStreakJob();
+    });
+  });
+}
+
+/**
+ * Auto-read an article in a daily.dev tab the user opened
+ * Runs as a streak job; see enqueueStreakJob.
+ * @param {Object} params - Job parameters
+ * @param {number} params.tabId - The ID of the daily.dev tab
+ * @param {AbortSignal} [signal] - Aborted when the job is given up on
+ * @returns {Promise<{success: boolean, error?: string}>} Whether the read was counted
+ */
+async function runAutoReadJob(params, signal) {
+  const result = await callChrome((callback) =>
+    chrome.storage.local.get(["lastVisit", SETTINGS_KEY], callback)
+  );
+  const settings = mergeSettings(result[SETTINGS_KEY]);
+
+  // An earlier job may have kept the streak while this one waited
+  if (result.lastVisit === getStreakDayString(settings)) {
+    logger.info("Streak already completed for today, not auto-clicking");
+    return { success: true };
+  }
+  if (isPausedToday(settings)) {
+    logger.info("The extension is paused today, not auto-clicking");
+    return { success: false, error: "Paused" };
+  }
 
-// Failsafe times
-const FIRST_FAILSAFE_HOUR = 20; // 8:00 PM
-const FIRST_FAILSAFE_MINUTE = 0;
-const SECOND_FAILSAFE_HOUR = 22; // 10:15 PM
-const SECOND_FAILSAFE_MINUTE = 15;
+  try {
+    const tab = await callChrome((callback) =>
+      chrome.tabs.get(params.tabId, callback)
+    );
+    if (!tab.url || !tab.url.includes("daily.dev")) {
+      return { success: false, error: "The tab left daily.dev" };
+    }
+  } catch (error) {
+    return { success: false, error: "The tab was closed" };
+  }
 
-// Force sync time (to ensure we have the latest streak count)
-const FORCE_SYNC_HOUR = 18; // 6:00 PM
-const FORCE_SYNC_MINUTE = 0;
+  return new Promise((resolve) =>
+    clickArticleAndUpdateStreak(params.tabId, {
+      onDone: resolve,
+      signal: signal,
+    })
+  );
+}
 
 /**
  * Listen for tab updates to detect when daily.dev is loaded
@@ -52,334 +493,893 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 function handleDailyDevPageLoad(tabId) {
   try {
     // Check if we've already completed the streak for today
-    chrome.storage.local.get(["lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        return;
-      }
-
-      const today = new Date().toDateString();
+    chrome.storage.local.get(
+      ["lastVisit", SETTINGS_KEY, AUTO_READ_GAVE_UP_KEY],
+      (result) => {
+        if (chrome.runtime.lastError) {
+          logError("Error accessing storage:", chrome.runtime.lastError);
+          return;
+        }
 
-      // Only click automatically if we haven't visited today yet
-      if (!result.lastVisit || result.lastVisit !== today) {
-        clickArticleAndUpdateStreak(tabId);
-      } else {
-        console.log("Streak already completed for today, not auto-clicking");
+        const settings = mergeSettings(result[SETTINGS_KEY]);
+        const today = getStreakDayString(settings);
+
+        // Only click automatically if we haven't visited today yet
+        if (tabsBeingRead.has(tabId)) {
+          logger.debug("Auto-read already in progress in this tab");
+        } else if (failsafeTabs.has(tabId)) {
+          logger.debug("The failsafe runs the auto-read in this tab itself");
+        } else if (isPausedToday(settings)) {
+          logger.info("The extension is paused today, not auto-clicking");
+          recordPausedDay(settings);
+        } else if (result.lastVisit === today) {
+          logger.debug("Streak already completed for today, not auto-clicking");
+        } else if (result[AUTO_READ_GAVE_UP_KEY] === today) {
+          logger.info(
+            "The auto-read couldn't verify a read today, not auto-clicking again"
+          );
+        } else {
+          enqueueStreakJob("autoRead", { tabId: tabId });
+        }
       }
-    });
+    );
   } catch (error) {
-    console.error("Error handling daily.dev page load:", error);
+    logError("Error handling daily.dev page load:", error);
   }
 }
 
 /**
  * Click on an article and update the streak
  * @param {number} tabId - The ID of the tab to execute the script in
+ * @param {Object} [options={}] - Options for the read
+ * @param {boolean} [options.fromFailsafe=false] - Whether the failsafe opened the tab
+ * @param {function({success: boolean, error?: string}): void} [options.onDone] - Called once the auto-read has finished, however it ended
+ * @param {AbortSignal} [options.signal] - Aborted when the streak job running the auto-read is given up on
  */
-function clickArticleAndUpdateStreak(tabId) {
+function clickArticleAndUpdateStreak(tabId, options = {}) {
   try {
-    console.log("Attempting to click on an article in tab:", tabId);
+    logger.info("Attempting to click on an article in tab:", tabId);
+    tabsBeingRead.add(tabId);
 
-    // Execute script to click on a post
-    chrome.scripting.executeScript(
-      {
-        target: { tabId: tabId },
-        function: clickFirstArticle,
-      },
-      (results) => {
-        if (chrome.runtime.lastError) {
-          console.error("Error executing script:", chrome.runtime.lastError);
-          return;
-        }
+    // Read the streak count before the click, so the read can be verified
+    executeWithSelectorProfile(tabId, extractStreakCountFromPage, (results) => {
+      if (stopCancelledAutoRead(tabId, options)) {
+        return;
+      }
 
-        if (!results || !results[0] || !results[0].result) {
-          console.error("No results returned from clickFirstArticle");
-          return;
+      let streakCount = null;
+      let readToday = false;
+      if (chrome.runtime.lastError) {
+        logError(
+          "Error executing streak extraction script:",
+          chrome.runtime.lastError
+        );
+      } else {
+        streakCount = getTrustedStreakCount(results);
+        const reading = results && results[0] && results[0].result;
+        readToday = Boolean(reading && reading.readToday);
+      }
+
+      // daily.dev already counted a read the extension didn't see, e.g. on
+      // another device, so only daily.dev confirms it
+      if (readToday) {
+        logger.info("daily.dev already shows a read today, not auto-clicking");
+        if (streakCount !== null) {
+          updateStreakWithCount(streakCount, "sync");
+        } else {
+          updateStreak("sync");
         }
+        if (options.fromFailsafe) {
+          closeFailsafeTabIfUnused(tabId);
+        }
+        finishAutoRead(tabId, options, { success: true });
+        return;
+      }
 
-        const status = results[0].result;
-        console.log("Article click status:", status);
+      clickArticleWithStreakCount(tabId, streakCount, {
+        fromFailsafe: Boolean(options.fromFailsafe),
+        onDone: options.onDone,
+        signal: options.signal,
+        attempt: 1,
+        triedUrls: [],
+      });
+    });
+  } catch (error) {
+    logError("Error clicking article:", error);
+    finishAutoRead(tabId, options, { success: false, error: error.message });
+  }
+}
 
-        // If we're already on an article page, update streak immediately
-        if (
-          status.clicked ||
-          (status.articleUrl && status.articleUrl.includes("/posts/"))
-        ) {
-          console.log(
-            "Article was clicked or already on article page, updating streak"
-          );
+/**
+ * Mark an auto-read as over and report how it ended
+ * @param {number} tabId - The ID of the tab used for the auto-read
+ * @param {Object} options - State of the auto-read (see clickArticleWithStreakCount)
+ * @param {{success: boolean, error?: string}} outcome - Whether the read was counted, and why not
+ */
+function finishAutoRead(tabId, options, outcome) {
+  tabsBeingRead.delete(tabId);
+  if (options.onDone) {
+    options.onDone(outcome);
+  }
+}
 
-          // If we successfully extracted a streak count from daily.dev, use it
-          if (status.streakCount !== null && !isNaN(status.streakCount)) {
-            console.log(
-              "Using streak count from daily.dev:",
-              status.streakCount
+/**
+ * End an auto-read at a checkpoint if its streak job was given up on
+ * @param {number} tabId - The ID of the tab used for the auto-read
+ * @param {Object} options - State of the auto-read (see clickArticleWithStreakCount)
+ * @returns {boolean} Whether the auto-read was ended
+ */
+function stopCancelledAutoRead(tabId, options) {
+  if (!options.signal || !options.signal.aborted) {
+    return false;
+  }
+
+  logger.info(
+    `Stopping the auto-read in tab ${tabId}, its job was given up on`
+  );
+  finishAutoRead(tabId, options, {
+    success: false,
+    error: "The job was given up on",
+  });
+  return true;
+}
+
+/**
+ * Click on an article and start the reading session once the click has gone through
+ * @param {number} tabId - The ID of the tab to execute the script in
+ * @param {number|null} streakCount - Trusted streak count read before the first click, if any
+ * @param {Object} options - State of the auto-read
+ * @param {boolean} options.fromFailsafe - Whether the failsafe opened the tab
+ * @param {function({success: boolean, error?: string}): void} [options.onDone] - Called once the auto-read has finished
+ * @param {AbortSignal} [options.signal] - Aborted when the streak job running the auto-read is given up on
+ * @param {number} options.attempt - Which article this is (1-based)
+ * @param {string[]} options.triedUrls - Articles already read without the streak going up
+ * @param {boolean} [options.userOpenedArticle] - Set once the auto-read finds the user already reading an article they opened
+ * @param {Object|null} [options.article] - The article being read and why it was picked, set once it is clicked
+ */
+function clickArticleWithStreakCount(tabId, streakCount, options) {
+  try {
+    loadSettings((settings) => {
+      if (stopCancelledAutoRead(tabId, options)) {
+        return;
+      }
+
+      // Execute script to click on a post
+      executeWithSelectorProfile(
+        tabId,
+        clickPreferredArticle,
+        (results) => {
+          if (chrome.runtime.lastError) {
+            logError("Error executing script:", chrome.runtime.lastError);
+            finishAutoRead(tabId, options, {
+              success: false,
+              error: "Script execution failed",
+            });
+            return;
+          }
+
+          if (!results || !results[0] || !results[0].result) {
+            logError("No results returned from clickPreferredArticle");
+            finishAutoRead(tabId, options, {
+              success: false,
+              error: "No article click result",
+            });
+            return;
+          }
+
+          const status = results[0].result;
+          logger.debug("Article click status:", status);
+          if (status.article) {
+            recordActivity(
+              "click",
+              "success",
+              `Picked "${status.article.title}" (attempt ${options.attempt})`,
+              status.article
             );
-            updateStreakWithCount(status.streakCount);
-          } else {
-            // Otherwise fall back to our internal tracking
-            updateStreak();
           }
-          return;
-        }
 
-        // If articles were found but click is happening asynchronously,
-        // wait for the article page to load before updating streak
-        if (status.articlesFound && status.linkFound) {
-          console.log(
-            "Article link found, waiting for page to load before updating streak"
-          );
+          // Remember which article is read and why it was picked, to save
+          // once daily.dev confirms the read
+          options.article = status.article;
+          if (status.articleUrl) {
+            options.triedUrls.push(status.articleUrl);
+          }
+          if (status.alreadyOnArticle) {
+            options.userOpenedArticle = true;
+          }
 
-          // Set up a listener for when the tab navigates to an article page
-          const articleLoadListener = (_, changeInfo, tab) => {
-            if (
-              changeInfo.status === "complete" &&
-              tab.url &&
-              tab.url.includes("/posts/")
-            ) {
-              console.log("Article page loaded:", tab.url);
-              // Remove the listener once we've detected the article page
-              chrome.tabs.onUpdated.removeListener(articleLoadListener);
+          // If we're already on an article page, start reading immediately
+          if (
+            status.clicked ||
+            (status.articleUrl && status.articleUrl.includes("/posts/"))
+          ) {
+            logger.debug(
+              "Article was clicked or already on article page, starting reading session"
+            );
+            completeArticleRead(tabId, streakCount, options);
+            return;
+          }
 
-              // Execute script to extract streak count from the article page
-              chrome.scripting.executeScript(
-                {
-                  target: { tabId: tab.id },
-                  function: extractStreakCountFromPage,
-                },
-                (results) => {
-                  if (chrome.runtime.lastError) {
-                    console.error(
-                      "Error executing streak extraction script:",
-                      chrome.runtime.lastError
-                    );
-                    // Fall back to internal tracking if extraction fails
-                    updateStreak();
-                    return;
-                  }
+          // If articles were found but click is happening asynchronously,
+          // wait for the article page to load before reading it
+          if (status.articlesFound && status.linkFound) {
+            logger.debug(
+              "Article link found, waiting for page to load before reading it"
+            );
 
-                  if (
-                    results &&
-                    results[0] &&
-                    results[0].result &&
-                    !isNaN(results[0].result)
-                  ) {
-                    // Use the extracted streak count
-                    console.log(
-                      "Using streak count from article page:",
-                      results[0].result
-                    );
-                    updateStreakWithCount(results[0].result);
-                  } else {
-                    // Fall back to internal tracking
-                    updateStreak();
-                  }
+            tabsBeingRead.add(tabId);
+
+            // Set up a listener for when the tab navigates to an article page
+            const articleLoadListener = (updatedTabId, changeInfo, tab) => {
+              if (
+                updatedTabId === tabId &&
+                changeInfo.status === "complete" &&
+                tab.url &&
+                tab.url.includes("/posts/")
+              ) {
+                logger.debug("Article page loaded:", tab.url);
+                // Remove the listener once we've detected the article page
+                chrome.tabs.onUpdated.removeListener(articleLoadListener);
+
+                if (!stopCancelledAutoRead(tabId, options)) {
+                  completeArticleRead(tabId, streakCount, options);
                 }
-              );
-            }
-          };
+              }
+            };
 
-          // Add the listener
-          chrome.tabs.onUpdated.addListener(articleLoadListener);
+            // Add the listener
+            chrome.tabs.onUpdated.addListener(articleLoadListener);
 
-          // Set a timeout to remove the listener if the article doesn't load within 15 seconds
-          setTimeout(() => {
-            chrome.tabs.onUpdated.removeListener(articleLoadListener);
-            console.log("Removed article load listener after timeout");
-          }, 15000);
-        } else {
-          console.error("Failed to find or click on an article:", status.error);
-        }
-      }
-    );
+            // Set a timeout to remove the listener if the article doesn't load within 15 seconds
+            setTimeout(() => {
+              if (chrome.tabs.onUpdated.hasListener(articleLoadListener)) {
+                chrome.tabs.onUpdated.removeListener(articleLoadListener);
+                logger.debug("Removed article load listener after timeout");
+                finishAutoRead(tabId, options, {
+                  success: false,
+                  error: "The article didn't load",
+                });
+              }
+            }, 15000);
+          } else {
+            logger.error(
+              "Failed to find or click on an article:",
+              status.error
+            );
+            recordActivity(
+              "click",
+              "failure",
+              `No article clicked: ${status.error || "No article found"}`,
+              { attempt: options.attempt, articlesFound: status.articlesFound }
+            );
+            finishAutoRead(tabId, options, {
+              success: false,
+              error: status.error || "No article found",
+            });
+          }
+        },
+        [settings.articlePreferences, options.triedUrls]
+      );
+    });
   } catch (error) {
-    console.error("Error clicking article:", error);
+    logError("Error clicking article:", error);
+    finishAutoRead(tabId, options, { success: false, error: error.message });
   }
 }
 
 /**
- * Function to be injected into the page to click the first article and extract streak count
- * This function is injected into the daily.dev page and attempts to find and click on an article
- * It also extracts the streak count from the daily.dev UI
- * @returns {object} Status object with information about the click attempt and streak count
+ * Run the reading session on the article, then verify and count the read
+ * The day is only marked as maintained once the session finishes and daily.dev
+ * shows the read; otherwise another article is tried, up to the configured limit.
+ * @param {number} tabId - The ID of the tab showing the article
+ * @param {number|null} streakCount - Trusted streak count read before the first click, if any
+ * @param {Object} options - State of the auto-read (see clickArticleWithStreakCount)
  */
-function clickFirstArticle() {
-  // Create a status object to return detailed information about the click attempt
-  const status = {
-    articlesFound: false,
-    linkFound: false,
-    clicked: false,
-    articleUrl: null,
-    error: null,
-    streakCount: null,
-  };
-
-  try {
-    // Function to extract streak count from the daily.dev UI
-    function extractStreakCount(statusObj) {
-      try {
-        // Log the DOM for debugging
-        console.log("Attempting to extract streak count from daily.dev UI");
-
-        // Force a refresh of the streak data by checking all possible locations
-        // First, try to find the streak element in the popup UI
-        let streakElement = null;
-
-        // Try to find the streak element by ID first
-        streakElement = document.getElementById("reading-streak-header-button");
-        console.log("Streak element by ID:", streakElement);
-
-        // Try all possible selectors that might contain the streak count
-        const possibleSelectors = [
-          '[data-testid="reading-streak-header-button"]',
-          ".streak-counter",
-          '[aria-label*="streak"]',
-          '[title*="streak"]',
-          // Add more specific selectors based on the daily.dev UI
-          ".streak-count",
-          '[data-testid="streak-count"]',
-          ".streak-number",
-          // Look for elements containing the word "streak" in their text
-          'div:contains("streak")',
-          'span:contains("streak")',
-          'p:contains("streak")',
-        ];
-
-        // Log all elements that match any of our selectors
-        console.log("Searching for streak elements with various selectors:");
-        for (const selector of possibleSelectors) {
-          try {
-            const elements = document.querySelectorAll(selector);
-            if (elements && elements.length > 0) {
-              console.log(
-                `Found ${elements.length} elements with selector: ${selector}`,
-                elements
-              );
-
-              // If we haven't found a streak element yet, use the first match
-              if (!streakElement && elements.length > 0) {
-                streakElement = elements[0];
-                console.log("Using element:", streakElement);
-              }
+function completeArticleRead(tabId, streakCount, options) {
+  tabsBeingRead.add(tabId);
 
-              // Check each element for a number
-              for (const el of elements) {
-                const text = el.textContent || el.innerText;
-                console.log(`Element text: "${text}"`);
-
-                // Look for numbers in the text
-                const matches = text.match(/\d+/g);
-                if (matches && matches.length > 0) {
-                  console.log("Found numbers in text:", matches);
-
-                  // If the text contains "streak" and a number, this is likely our streak count
-                  if (text.toLowerCase().includes("streak")) {
-                    statusObj.streakCount = parseInt(matches[0], 10);
-                    console.log(
-                      "Extracted streak count from text containing 'streak':",
-                      statusObj.streakCount
-                    );
-                    return; // We found what we're looking for
-                  }
-                }
-              }
-            }
-          } catch (selectorError) {
-            console.error(`Error with selector ${selector}:`, selectorError);
-          }
-        }
+  loadSettings((settings) => {
+    const session = settings.readingSession;
 
-        // If we found a streak element but haven't extracted a number yet, try harder
-        if (streakElement) {
-          // Try to extract the number from the element
-          const text = streakElement.textContent || streakElement.innerText;
-          console.log(`Streak element text: "${text}"`);
+    runReadingSession(tabId, session, (result) => {
+      const failsafeTab = failsafeTabs.get(tabId);
+      if (failsafeTab && result.interacted) {
+        failsafeTab.interacted = true;
+      }
+      if (stopCancelledAutoRead(tabId, options)) {
+        return;
+      }
 
-          // Look for all numbers in the text
-          const matches = text.match(/\d+/g);
+      if (!result.completed) {
+        finishAutoRead(tabId, options, {
+          success: false,
+          error: `Reading session stopped (${result.reason})`,
+        });
+        logger.info(
+          "Reading session did not finish, streak not marked:",
+          result.reason
+        );
+        chrome.notifications.create({
+          type: "basic",
+          iconUrl: "../images/icon128.png",
+          title: "Daily.dev Read Not Counted",
+          message: `The reading session stopped (${result.reason}), so today isn't marked as maintained yet.`,
+          priority: 1,
+        });
+        return;
+      }
 
-          if (matches && matches.length > 0) {
-            // Use the first number found
-            statusObj.streakCount = parseInt(matches[0], 10);
-            console.log("Extracted streak count:", statusObj.streakCount);
-          } else {
-            // If we found the element but couldn't extract a number, check for attributes
-            const ariaLabel = streakElement.getAttribute("aria-label");
-            const title = streakElement.getAttribute("title");
-
-            console.log("Aria label:", ariaLabel);
-            console.log("Title:", title);
-
-            if (ariaLabel) {
-              const ariaMatches = ariaLabel.match(/\d+/g);
-              if (ariaMatches && ariaMatches.length > 0) {
-                statusObj.streakCount = parseInt(ariaMatches[0], 10);
-                console.log(
-                  "Extracted streak count from aria-label:",
-                  statusObj.streakCount
-                );
-              }
-            } else if (title) {
-              const titleMatches = title.match(/\d+/g);
-              if (titleMatches && titleMatches.length > 0) {
-                statusObj.streakCount = parseInt(titleMatches[0], 10);
-                console.log(
-                  "Extracted streak count from title:",
-                  statusObj.streakCount
-                );
-              }
-            }
-          }
+      verifyArticleRead(streakCount, (verification) => {
+        if (stopCancelledAutoRead(tabId, options)) {
+          return;
         }
 
-        // If we still don't have a streak count, try a more aggressive approach
-        if (!statusObj.streakCount) {
-          console.log(
-            "No streak count found yet, trying more aggressive approach"
+        if (verification.verified) {
+          // The read is the user's own if they opened the article themselves
+          // or used the page while it was being read
+          let method = options.fromFailsafe ? "failsafe" : "autoClick";
+          if (options.userOpenedArticle || result.interacted) {
+            method = "manual";
+          }
+          logger.info(
+            `Read verified on attempt ${options.attempt}:`,
+            verification.reason
           );
 
-          // Get all elements in the document
-          const allElements = document.querySelectorAll("*");
-
-          // Look for elements that might contain streak information
-          for (const el of allElements) {
-            const text = el.textContent || el.innerText;
+          if (verification.streakCount !== null) {
+            logger.info(
+              "Using streak count from daily.dev:",
+              verification.streakCount
+            );
+            updateStreakWithCount(verification.streakCount, method);
+          } else {
+            // daily.dev shows the read but not the count, so track it ourselves
+            updateStreak(method);
+          }
+          if (options.article) {
+            recordAutoReadArticle(options.article, settings);
+          }
 
-            // If the text is short and contains a number and the word "streak", it's likely our streak count
-            if (
-              text &&
-              text.length < 50 &&
-              text.toLowerCase().includes("streak")
-            ) {
-              console.log(`Potential streak element: "${text}"`);
-
-              const matches = text.match(/\d+/g);
-              if (matches && matches.length > 0) {
-                statusObj.streakCount = parseInt(matches[0], 10);
-                console.log(
-                  "Extracted streak count from general search:",
-                  statusObj.streakCount
-                );
-                break;
-              }
-            }
+          if (options.fromFailsafe) {
+            closeFailsafeTabIfUnused(tabId);
           }
+          finishAutoRead(tabId, options, { success: true });
+          return;
         }
-      } catch (error) {
-        console.error("Error extracting streak count:", error);
-      }
-    }
 
-    // Try to extract the streak count from the daily.dev UI
-    extractStreakCount(status);
+        logger.info(
+          `Read not verified on attempt ${options.attempt}:`,
+          verification.reason
+        );
 
-    // Check if we're already on an article page (URL contains "/posts/")
+        if (options.attempt < session.maxAttempts) {
+          retryWithAnotherArticle(tabId, streakCount, {
+            ...options,
+            attempt: options.attempt + 1,
+          });
+          return;
+        }
+
+        // Don't start over on every later visit today; the failsafe still
+        // runs, and the popup can ask for another try
+        chrome.storage.local.set({
+          [AUTO_READ_GAVE_UP_KEY]: getStreakDayString(settings),
+        });
+        finishAutoRead(tabId, options, {
+          success: false,
+          error: `Read not verified (${verification.reason})`,
+        });
+        chrome.notifications.create({
+          type: "basic",
+          iconUrl: "../images/icon128.png",
+          title: "Daily.dev Read Not Verified",
+          message: `Read ${options.attempt} article${
+            options.attempt === 1 ? "" : "s"
+          } but couldn't confirm daily.dev counted them (${
+            verification.reason
+          }). Today isn't marked as maintained and visits won't start another auto-read today; please read an article yourself.`,
+          priority: 2,
+          requireInteraction: true,
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Check on a fresh daily.dev page that the streak went up after a read
+ * The read counts if daily.dev shows its "read today" mark, or if the streak
+ * count is higher than before the first click.
+ * @param {number|null} streakBefore - Trusted streak count read before the first click, if any
+ * @param {function({verified: boolean, streakCount: number|null, reason: string}): void} callback - Receives the outcome
+ */
+function verifyArticleRead(streakBefore, callback) {
+  readStreakFromFreshTab((reading) => {
+    if (!reading) {
+      callback({
+        verified: false,
+        streakCount: null,
+        reason: "daily.dev couldn't be checked",
+      });
+      return;
+    }
+
+    const streakAfter = getTrustedStreakCount([{ result: reading }]);
+
+    if (reading.readToday) {
+      callback({
+        verified: true,
+        streakCount: streakAfter,
+        reason: "daily.dev shows a read today",
+      });
+    } else if (
+      streakBefore !== null &&
+      streakAfter !== null &&
+      streakAfter > streakBefore
+    ) {
+      callback({
+        verified: true,
+        streakCount: streakAfter,
+        reason: `streak went from ${streakBefore} to ${streakAfter}`,
+      });
+    } else if (streakBefore === null || streakAfter === null) {
+      callback({
+        verified: false,
+        streakCount: streakAfter,
+        reason: "the streak count couldn't be read",
+      });
+    } else {
+      callback({
+        verified: false,
+        streakCount: streakAfter,
+        reason: `streak stayed at ${streakAfter}`,
+      });
+    }
+  });
+}
+
+/**
+ * Open daily.dev in a background tab, read the streak and close the tab again
+ * @param {function(Object|null): void} callback - Receives the extraction result, or null if it failed
+ */
+function readStreakFromFreshTab(callback) {
+  chrome.tabs.create({ url: DAILY_DEV_URL, active: false }, (tab) => {
+    if (chrome.runtime.lastError) {
+      logError("Error creating tab:", chrome.runtime.lastError);
+      callback(null);
+      return;
+    }
+
+    // Keep the auto-read from clicking an article in the check tab
+    tabsBeingRead.add(tab.id);
+    trackStreakJobTab(tab.id);
+
+    const finish = (reading) => {
+      tabsBeingRead.delete(tab.id);
+      chrome.tabs.remove(tab.id, () => {
+        if (chrome.runtime.lastError) {
+          logError("Error closing check tab:", chrome.runtime.lastError);
+        }
+      });
+      callback(reading);
+    };
+
+    waitForTabLoad(tab.id, (loaded) => {
+      if (!loaded) {
+        finish(null);
+        return;
+      }
+
+      // Give the page a moment to render the streak counter
+      setTimeout(() => {
+        executeWithSelectorProfile(
+          tab.id,
+          extractStreakCountFromPage,
+          (results) => {
+            if (chrome.runtime.lastError) {
+              logError(
+                "Error executing streak extraction script:",
+                chrome.runtime.lastError
+              );
+              finish(null);
+              return;
+            }
+
+            finish((results && results[0] && results[0].result) || null);
+          }
+        );
+      }, ARTICLE_LOAD_DELAY_MS);
+    });
+  });
+}
+
+/**
+ * Send the reading tab back to the feed and read a different article
+ * @param {number} tabId - The ID of the tab used for the auto-read
+ * @param {number|null} streakCount - Trusted streak count read before the first click, if any
+ * @param {Object} options - State of the auto-read for the next attempt
+ */
+function retryWithAnotherArticle(tabId, streakCount, options) {
+  logger.info(`Trying another article (attempt ${options.attempt})`);
+
+  chrome.tabs.update(tabId, { url: DAILY_DEV_URL }, () => {
+    if (chrome.runtime.lastError) {
+      logError("Error returning to the feed:", chrome.runtime.lastError);
+      finishAutoRead(tabId, options, {
+        success: false,
+        error: "Could not return to the feed",
+      });
+      return;
+    }
+
+    waitForTabLoad(tabId, (loaded) => {
+      if (!loaded) {
+        finishAutoRead(tabId, options, {
+          success: false,
+          error: "The feed didn't load",
+        });
+        return;
+      }
+
+      setTimeout(() => {
+        if (!stopCancelledAutoRead(tabId, options)) {
+          clickArticleWithStreakCount(tabId, streakCount, options);
+        }
+      }, ARTICLE_LOAD_DELAY_MS);
+    });
+  });
+}
+
+/**
+ * Wait for a tab to finish loading
+ * @param {number} tabId - The ID of the tab to wait for
+ * @param {function(boolean): void} callback - Receives whether the tab loaded in time
+ * @param {number} [timeoutMs=30000] - How long to wait
+ */
+function waitForTabLoad(tabId, callback, timeoutMs = 30000) {
+  const tabLoadListener = (updatedTabId, changeInfo) => {
+    if (updatedTabId === tabId && changeInfo.status === "complete") {
+      chrome.tabs.onUpdated.removeListener(tabLoadListener);
+      clearTimeout(timer);
+      callback(true);
+    }
+  };
+
+  const timer = setTimeout(() => {
+    chrome.tabs.onUpdated.removeListener(tabLoadListener);
+    logError(`Tab ${tabId} didn't finish loading in time`);
+    callback(false);
+  }, timeoutMs);
+
+  chrome.tabs.onUpdated.addListener(tabLoadListener);
+}
+
+/**
+ * Stay on the article for the configured time, scrolling through it
+ * @param {number} tabId - The ID of the tab showing the article
+ * @param {Object} session - The reading session settings
+ * @param {function({completed: boolean, reason: string|null, interacted: boolean}): void} callback - Receives how the session ended and whether the user used the page meanwhile
+ */
+function runReadingSession(tabId, session, callback) {
+  if (!session.dwellSeconds || session.dwellSeconds <= 0) {
+    callback({ completed: true, reason: null, interacted: false });
+    return;
+  }
+
+  logger.info(
+    `Starting ${session.dwellSeconds}s reading session in tab ${tabId}`
+  );
+
+  chrome.scripting.executeScript(
+    {
+      target: { tabId: tabId },
+      function: simulateReading,
+      args: [session.dwellSeconds, session.scroll],
+    },
+    (results) => {
+      if (chrome.runtime.lastError) {
+        // The tab was closed or navigated away mid-session
+        logError("Reading session interrupted:", chrome.runtime.lastError);
+        callback({
+          completed: false,
+          reason: "the tab was closed or left",
+          interacted: true,
+        });
+        return;
+      }
+
+      const result = results && results[0] && results[0].result;
+      callback(
+        result || { completed: false, reason: "no result", interacted: false }
+      );
+    }
+  );
+}
+
+/**
+ * Function to be injected into the article page to simulate reading it
+ * Shows a small banner with a countdown and a Cancel button, and scrolls
+ * through the article while the countdown runs. Also notes whether the user
+ * clicked, typed or scrolled on the page in the meantime.
+ * @param {number} dwellSeconds - How long to stay on the article
+ * @param {boolean} scroll - Whether to scroll through the content
+ * @returns {Promise<{completed: boolean, reason: string|null, interacted: boolean}>} How the session ended
+ */
+function simulateReading(dwellSeconds, scroll) {
+  return new Promise((resolve) => {
+    const banner = document.createElement("div");
+    banner.style.cssText =
+      "position:fixed;bottom:16px;right:16px;z-index:2147483647;padding:10px 14px;" +
+      "background:#333;color:#fff;font:13px Arial,sans-serif;border-radius:6px;" +
+      "box-shadow:0 2px 8px rgba(0,0,0,0.3);display:flex;gap:10px;align-items:center;";
+
+    const label = document.createElement("span");
+    const cancelButton = document.createElement("button");
+    cancelButton.textContent = "Cancel";
+    cancelButton.style.cssText =
+      "background:#f8d7da;color:#721c24;border:none;border-radius:4px;padding:4px 8px;cursor:pointer;";
+
+    banner.appendChild(label);
+    banner.appendChild(cancelButton);
+    document.body.appendChild(banner);
+
+    let remaining = dwellSeconds;
+    const updateLabel = () => {
+      label.textContent = `Streak Keeper is reading this article (${remaining}s left)`;
+    };
+    updateLabel();
+
+    // Only real input counts; the session's own scrolling isn't trusted input
+    let interacted = false;
+    const inputEvents = ["mousedown", "keydown", "wheel", "touchstart"];
+    const noteInput = (event) => {
+      if (event.isTrusted) {
+        interacted = true;
+      }
+    };
+    for (const type of inputEvents) {
+      window.addEventListener(type, noteInput, true);
+    }
+
+    let timer = null;
+    const finish = (result) => {
+      clearInterval(timer);
+      banner.remove();
+      for (const type of inputEvents) {
+        window.removeEventListener(type, noteInput, true);
+      }
+      resolve({ ...result, interacted: interacted });
+    };
+
+    cancelButton.addEventListener("click", () => {
+      finish({ completed: false, reason: "cancelled" });
+    });
+
+    timer = setInterval(() => {
+      remaining--;
+
+      if (scroll) {
+        // Scroll proportionally so the end of the article is reached at the end
+        const maxScroll =
+          document.documentElement.scrollHeight - window.innerHeight;
+        const progress = (dwellSeconds - remaining) / dwellSeconds;
+        window.scrollTo({ top: maxScroll * progress, behavior: "smooth" });
+      }
+
+      if (remaining <= 0) {
+        finish({ completed: true, reason: null });
+      } else {
+        updateLabel();
+      }
+    }, 1000);
+  });
+}
+
+/**
+ * Save the article the extension read today so the popup can show it
+ * Only called once daily.dev confirms the read.
+ * @param {Object} article - The chosen article (title, url, source, tags, score, reason)
+ * @param {Object} settings - The settings object, used to work out today
+ */
+function recordAutoReadArticle(article, settings) {
+  chrome.storage.local.set(
+    {
+      autoReadArticle: {
+        ...article,
+        day: getStreakDayString(settings),
+        time: Date.now(),
+      },
+    },
+    () => {
+      if (chrome.runtime.lastError) {
+        logError("Error saving auto-read article:", chrome.runtime.lastError);
+      }
+    }
+  );
+}
+
+/**
+ * Function to be injected into the page to click the best-matching article
+ * This function is injected into the daily.dev page, scores the visible article
+ * cards against the user's preferences and clicks the best match. It falls back
+ * to the first card only when no card scores.
+ * @param {Object} profile - The active selector profile
+ * @param {string} logLevel - The log level from the settings
+ * @param {Object} preferences - Preferred and blocked tags, keywords and sources
+ * @param {string[]} [triedUrls=[]] - Articles already read in this auto-read, skipped if possible
+ * @returns {object} Status object with information about the click attempt and the chosen article
+ */
+function clickPreferredArticle(profile, logLevel, preferences, triedUrls = []) {
+  // Injected with the page function by executeWithSelectorProfile
+  const log = createLogger(logLevel, "auto-read");
+
+  // Create a status object to return detailed information about the click attempt
+  const status = {
+    articlesFound: false,
+    linkFound: false,
+    clicked: false,
+    // Whether the user had opened the article themselves before the auto-read
+    alreadyOnArticle: false,
+    articleUrl: null,
+    article: null,
+    error: null,
+  };
+
+  // How many cards from the top of the feed to consider
+  const MAX_CARDS = 20;
+
+  const normalizeList = (list) =>
+    (list || []).map((item) => item.trim().toLowerCase()).filter(Boolean);
+  const preferredTags = normalizeList(preferences && preferences.preferredTags);
+  const preferredKeywords = normalizeList(
+    preferences && preferences.preferredKeywords
+  );
+  const blockedSources = normalizeList(
+    preferences && preferences.blockedSources
+  );
+  const blockedKeywords = normalizeList(
+    preferences && preferences.blockedKeywords
+  );
+
+  // Query inside a card, ignoring selectors the page rejects
+  const queryCard = (card, selector) => {
+    try {
+      return selector ? Array.from(card.querySelectorAll(selector)) : [];
+    } catch (error) {
+      log.error(`Invalid card selector ${selector}:`, error);
+      return [];
+    }
+  };
+
+  // Read an element's text, preferring alt text for images such as source logos
+  const readText = (element) =>
+    ((element && (element.getAttribute("alt") || element.textContent)) || "")
+      .replace(/\s+/g, " ")
+      .trim();
+
+  const findArticleLink = (article) => {
+    // If the article itself is a link
+    if (
+      article.tagName === "A" &&
+      article.href &&
+      article.href.includes("/posts/")
+    ) {
+      return article;
+    }
+
+    // Otherwise look for links inside the article
+    return (
+      queryCard(article, profile.articleLinkSelector)[0] ||
+      article.querySelector("a")
+    );
+  };
+
+  const describeCard = (article, link) => {
+    const rect = article.getBoundingClientRect();
+    return {
+      article: article,
+      link: link,
+      title:
+        readText(queryCard(article, profile.articleTitleSelector)[0]) ||
+        readText(link),
+      source: readText(queryCard(article, profile.articleSourceSelector)[0]),
+      tags: queryCard(article, profile.articleTagSelector)
+        .map((element) => readText(element).replace(/^#/, "").toLowerCase())
+        .filter(Boolean),
+      visible: rect.width > 0 && rect.height > 0,
+    };
+  };
+
+  // Score a card; blocked cards are marked and never chosen by score
+  const scoreCard = (card) => {
+    const title = card.title.toLowerCase();
+    const source = card.source.toLowerCase();
+    const reasons = [];
+    let score = 0;
+
+    const blockedSource = blockedSources.find(
+      (blocked) => source && source.includes(blocked)
+    );
+    const blockedKeyword = blockedKeywords.find(
+      (blocked) =>
+        title.includes(blocked) || card.tags.some((tag) => tag === blocked)
+    );
+    if (blockedSource || blockedKeyword) {
+      return { card: card, score: 0, blocked: true, reasons: reasons };
+    }
+
+    for (const tag of preferredTags) {
+      if (card.tags.includes(tag)) {
+        score += 3;
+        reasons.push(`tag "${tag}"`);
+      }
+    }
+    for (const keyword of preferredKeywords) {
+      if (title.includes(keyword)) {
+        score += 2;
+        reasons.push(`keyword "${keyword}" in the title`);
+      } else if (card.tags.includes(keyword)) {
+        score += 1;
+        reasons.push(`keyword "${keyword}" in the tags`);
+      }
+    }
+
+    return { card: card, score: score, blocked: false, reasons: reasons };
+  };
+
+  const chooseCard = (cards) => {
+    const scored = cards.map(scoreCard);
+
+    const best = scored
+      .filter((entry) => !entry.blocked && entry.score > 0)
+      .reduce(
+        (current, entry) =>
+          !current || entry.score > current.score ? entry : current,
+        null
+      );
+    if (best) {
+      return {
+        card: best.card,
+        score: best.score,
+        reason: `Matched ${best.reasons.join(", ")}`,
+      };
+    }
+
+    const firstAllowed = scored.find((entry) => !entry.blocked);
+    if (firstAllowed) {
+      return {
+        card: firstAllowed.card,
+        score: 0,
+        reason:
+          "No article matched your preferences, so the first one was picked",
+      };
+    }
+
+    return {
+      card: scored[0].card,
+      score: 0,
+      reason:
+        "Every article on screen was blocked by your preferences, so the first one was picked to keep the streak",
+    };
+  };
+
+  try {
+    // Check if we're already on an article page (URL contains "/posts/")
     if (window.location.href.includes("/posts/")) {
       status.articlesFound = true;
       status.linkFound = true;
       status.clicked = true;
+      status.alreadyOnArticle = true;
       status.articleUrl = window.location.href;
-      console.log("Already on an article page:", status.articleUrl);
+      status.article = {
+        title: document.title,
+        url: window.location.href,
+        source: "",
+        tags: [],
+        score: 0,
+        reason: "You were already reading this article",
+      };
+      log.info("Already on an article page:", status.articleUrl);
       return status;
     }
 
@@ -389,22 +1389,20 @@ function clickFirstArticle() {
 
     const findAndClickArticle = () => {
       try {
-        // Try different selectors that might match articles on daily.dev
-        const selectors = [
-          "article", // Standard article tag
-          '[data-testid="post-card"]', // Post cards by test ID
-          ".post-card", // Post cards by class
-          ".card", // Generic cards
-          'a[href*="/posts/"]', // Direct links to posts
-        ];
-
         let articles = [];
 
-        // Try each selector until we find articles
-        for (const selector of selectors) {
-          articles = document.querySelectorAll(selector);
+        // Try each selector from the profile until we find articles
+        for (const selector of profile.articleSelectors) {
+          const done = log.time(`Article selector ${selector}`);
+          try {
+            articles = document.querySelectorAll(selector);
+          } catch (selectorError) {
+            log.error(`Invalid article selector ${selector}:`, selectorError);
+            continue;
+          }
+          done(`${articles.length} matches`);
           if (articles.length > 0) {
-            console.log(
+            log.info(
               `Found ${articles.length} articles using selector: ${selector}`
             );
             break;
@@ -414,63 +1412,86 @@ function clickFirstArticle() {
         if (articles.length > 0) {
           status.articlesFound = true;
 
-          // Find the first article with a valid link
-          for (let i = 0; i < Math.min(articles.length, 5); i++) {
-            const article = articles[i];
-
-            // Try to find a link in the article
-            let link = null;
-
-            // If the article itself is a link
-            if (
-              article.tagName === "A" &&
-              article.href &&
-              article.href.includes("/posts/")
-            ) {
-              link = article;
-            } else {
-              // Otherwise look for links inside the article
-              link =
-                article.querySelector('a[href*="/posts/"]') ||
-                article.querySelector("a");
+          // Describe every card that has a usable link
+          const done = log.time("Reading article cards");
+          const cards = [];
+          for (const article of Array.from(articles).slice(0, MAX_CARDS)) {
+            const link = findArticleLink(article);
+            if (link && link.href) {
+              cards.push(describeCard(article, link));
             }
+          }
+          done(`${cards.length} cards with links`);
+          if (log.isEnabled("debug")) {
+            log.debug(
+              "Article cards:",
+              cards.map((card) => ({
+                title: card.title,
+                source: card.source,
+                tags: card.tags,
+                visible: card.visible,
+                url: card.link.href,
+              }))
+            );
+          }
 
-            if (link && link.href) {
-              status.linkFound = true;
-              status.articleUrl = link.href;
+          if (cards.length > 0) {
+            // Skip articles already tried, unless there is nothing else
+            const untriedCards = cards.filter(
+              (card) => !triedUrls.includes(card.link.href)
+            );
+            const candidates = untriedCards.length > 0 ? untriedCards : cards;
+
+            // Only score cards that are actually rendered, if there are any
+            const visibleCards = candidates.filter((card) => card.visible);
+            const choice = chooseCard(
+              visibleCards.length > 0 ? visibleCards : candidates
+            );
 
-              // Scroll the article into view
-              article.scrollIntoView({ behavior: "smooth", block: "center" });
+            status.linkFound = true;
+            status.articleUrl = choice.card.link.href;
+            status.article = {
+              title: choice.card.title,
+              url: choice.card.link.href,
+              source: choice.card.source,
+              tags: choice.card.tags,
+              score: choice.score,
+              reason: choice.reason,
+            };
+            log.info("Chose article:", status.article);
+
+            // Scroll the article into view
+            choice.card.article.scrollIntoView({
+              behavior: "smooth",
+              block: "center",
+            });
 
-              // Click the link
-              setTimeout(() => {
-                link.click();
-                console.log("Clicked on article:", status.articleUrl);
-                status.clicked = true;
-              }, 500);
+            // Click the link
+            setTimeout(() => {
+              choice.card.link.click();
+              log.info("Clicked on article:", status.articleUrl);
+              status.clicked = true;
+            }, 500);
 
-              return status;
-            }
+            return status;
           }
 
-          if (!status.linkFound) {
-            console.error("No valid links found in any articles");
-            status.error = "No valid links found";
-          }
+          log.error("No valid links found in any articles");
+          status.error = "No valid links found";
         } else {
           retryCount++;
           if (retryCount < maxRetries) {
-            console.log(
+            log.info(
               `No articles found yet, retrying (${retryCount}/${maxRetries})...`
             );
             setTimeout(findAndClickArticle, 1000);
           } else {
-            console.error("No articles found after multiple attempts");
+            log.error("No articles found after multiple attempts");
             status.error = "No articles found after multiple attempts";
           }
         }
       } catch (error) {
-        console.error("Error in findAndClickArticle:", error);
+        log.error("Error in findAndClickArticle:", error);
         status.error = error.message;
       }
 
@@ -479,7 +1500,7 @@ function clickFirstArticle() {
 
     return findAndClickArticle();
   } catch (error) {
-    console.error("Error in clickFirstArticle:", error);
+    log.error("Error in clickPreferredArticle:", error);
     status.error = error.message;
     return status;
   }
@@ -490,891 +1511,2505 @@ function clickFirstArticle() {
  */
 chrome.runtime.onMessage.addListener((message, _, sendResponse) => {
   if (message.action === "forceSyncStreak") {
-    console.log("Received request to force sync streak");
-
-    // Call the force sync function
-    try {
-      // Create a new tab with daily.dev
-      chrome.tabs.create({ url: DAILY_DEV_URL, active: false }, (tab) => {
-        if (chrome.runtime.lastError) {
-          console.error("Error creating tab:", chrome.runtime.lastError);
-          sendResponse({ success: false, error: "Could not create tab" });
-          return;
-        }
-
-        console.log(
-          "Opened daily.dev tab in background for manual streak sync"
-        );
-
-        // Set up a listener to wait for the tab to fully load
-        const tabLoadListener = (tabId, changeInfo, _) => {
-          // Only proceed if this is our tab and it's fully loaded
-          if (tabId === tab.id && changeInfo.status === "complete") {
-            console.log("Daily.dev page loaded for manual streak sync");
-
-            // Remove this listener as we don't need it anymore
-            chrome.tabs.onUpdated.removeListener(tabLoadListener);
-
-            // Wait a moment for the page to render before extracting the streak count
-            setTimeout(() => {
-              // Extract the streak count
-              chrome.scripting.executeScript(
-                {
-                  target: { tabId: tab.id },
-                  function: extractStreakCountFromPage,
-                },
-                (results) => {
-                  // Close the tab regardless of the result
-                  chrome.tabs.remove(tab.id, () => {
-                    console.log(
-                      "Closed daily.dev tab after manual streak sync attempt"
-                    );
-                  });
-
-                  if (chrome.runtime.lastError) {
-                    console.error(
-                      "Error executing streak extraction script:",
-                      chrome.runtime.lastError
-                    );
-                    sendResponse({
-                      success: false,
-                      error: "Script execution failed",
-                    });
-                    return;
-                  }
+    logger.info("Received request to force sync streak");
 
-                  if (
-                    results &&
-                    results[0] &&
-                    results[0].result &&
-                    !isNaN(results[0].result)
-                  ) {
-                    // Use the extracted streak count
-                    const streakCount = results[0].result;
-                    console.log(
-                      "Successfully extracted streak count from daily.dev:",
-                      streakCount
-                    );
-
-                    // Update the streak count in storage
-                    chrome.storage.local.set(
-                      {
-                        streak: streakCount,
-                        syncedWithDailyDev: true,
-                        lastSyncTime: Date.now(),
-                      },
-                      () => {
-                        if (chrome.runtime.lastError) {
-                          console.error(
-                            "Error updating storage:",
-                            chrome.runtime.lastError
-                          );
-                          sendResponse({
-                            success: false,
-                            error: "Storage update failed",
-                          });
-                          return;
-                        }
-
-                        console.log(
-                          "Updated streak count in storage:",
-                          streakCount
-                        );
-                        sendResponse({
-                          success: true,
-                          streakCount: streakCount,
-                        });
-                      }
-                    );
-                  } else {
-                    console.error(
-                      "Failed to extract streak count from daily.dev"
-                    );
-                    sendResponse({
-                      success: false,
-                      error: "Could not extract streak count",
-                    });
-                  }
-                }
-              );
-            }, 3000); // Wait 3 seconds for the page to fully render
-          }
-        };
+    // Joins a sync that is already queued or running instead of starting another
+    enqueueStreakJob("sync", { manual: true }).then(sendResponse);
 
-        // Add the listener
-        chrome.tabs.onUpdated.addListener(tabLoadListener);
+    // Return true to indicate that we will send a response asynchronously
+    return true;
+  }
 
-        // Set a timeout to remove the listener and close the tab if something goes wrong
-        setTimeout(() => {
-          chrome.tabs.onUpdated.removeListener(tabLoadListener);
-          chrome.tabs.remove(tab.id, () => {
-            console.log("Closed daily.dev tab after timeout");
-          });
-          sendResponse({ success: false, error: "Timeout" });
-        }, 30000); // 30 seconds timeout
-      });
-    } catch (error) {
-      console.error("Error handling manual sync request:", error);
-      sendResponse({ success: false, error: error.message });
-    }
+  if (message.action === "retryAutoRead") {
+    logger.info("Received request to try the auto-read again");
 
-    // Return true to indicate that we will send a response asynchronously
+    // The auto-read starts again once the new daily.dev tab has loaded
+    chrome.storage.local.remove(AUTO_READ_GAVE_UP_KEY, () => {
+      if (chrome.runtime.lastError) {
+        logError("Error updating storage:", chrome.runtime.lastError);
+        sendResponse({ success: false });
+        return;
+      }
+      chrome.tabs.create({ url: DAILY_DEV_URL });
+      sendResponse({ success: true });
+    });
     return true;
   }
 });
 
 /**
- * Initialize extension when installed
+ * Set up storage on install and migrate it on update
+ * Browser and shared module updates leave the stored data alone.
+ * @param {Object} details - Why onInstalled fired, with the previous version on updates
  */
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener((details) => {
   try {
-    // Initialize streak tracking
-    chrome.storage.local.set(
-      {
-        streak: 0,
-        lastVisit: null,
-        streakMaintainedToday: false,
-        syncedWithDailyDev: false,
-        lastSyncTime: null,
-      },
-      () => {
-        if (chrome.runtime.lastError) {
-          console.error(
-            "Error initializing storage:",
-            chrome.runtime.lastError
-          );
-          return;
-        }
-        console.log("Streak tracking initialized");
-      }
-    );
+    if (details.reason === "install") {
+      initializeStorage();
+    } else if (details.reason === "update") {
+      logger.info(
+        `Updated from ${details.previousVersion} to ${chrome.runtime.getManifest().version}`
+      );
+      runStorageMigrations().then(() => reconcileDeviceSync());
+    } else {
+      logger.debug(`Installed event for ${details.reason}, storage unchanged`);
+    }
 
     // Set up alarms
     setupAlarms();
   } catch (error) {
-    console.error("Error during extension installation:", error);
+    logError("Error during extension installation:", error);
   }
 });
 
 /**
- * Set up the reminder and failsafe alarms
+ * Store the initial streak state for a fresh install
+ * Keys that are already stored are kept, and the schema version is set to the
+ * current one since there is nothing to migrate.
  */
-function setupAlarms() {
-  try {
-    // Create alarm for force sync (6:00 PM)
-    chrome.alarms.create("forceStreakSync", {
-      periodInMinutes: DAILY_CHECK_MINUTES,
-      when: getNextReminderTime(FORCE_SYNC_HOUR, FORCE_SYNC_MINUTE),
-    });
+function initializeStorage() {
+  const defaults = {
+    streak: 0,
+    lastVisit: null,
+    streakMaintainedToday: false,
+    syncedWithDailyDev: false,
+    lastSyncTime: null,
+    [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION,
+  };
 
-    // Create alarms for streak reminders (7:00 PM and 10:00 PM)
-    chrome.alarms.create("firstStreakReminder", {
-      periodInMinutes: DAILY_CHECK_MINUTES,
-      when: getNextReminderTime(FIRST_REMINDER_HOUR, FIRST_REMINDER_MINUTE),
-    });
+  chrome.storage.local.get(Object.keys(defaults), (stored) => {
+    if (chrome.runtime.lastError) {
+      logError("Error reading storage:", chrome.runtime.lastError);
+      return;
+    }
 
-    chrome.alarms.create("secondStreakReminder", {
-      periodInMinutes: DAILY_CHECK_MINUTES,
-      when: getNextReminderTime(SECOND_REMINDER_HOUR, SECOND_REMINDER_MINUTE),
-    });
+    const missing = {};
+    for (const [key, value] of Object.entries(defaults)) {
+      if (stored[key] === undefined) {
+        missing[key] = value;
+      }
+    }
 
-    // Create alarms for failsafe mechanisms (8:00 PM and 10:15 PM)
-    chrome.alarms.create("firstStreakFailsafe", {
-      periodInMinutes: DAILY_CHECK_MINUTES,
-      when: getNextReminderTime(FIRST_FAILSAFE_HOUR, FIRST_FAILSAFE_MINUTE),
-    });
+    chrome.storage.local.set(missing, () => {
+      if (chrome.runtime.lastError) {
+        logError("Error initializing storage:", chrome.runtime.lastError);
+        return;
+      }
+      logger.info("Streak tracking initialized");
 
-    chrome.alarms.create("secondStreakFailsafe", {
-      periodInMinutes: DAILY_CHECK_MINUTES,
-      when: getNextReminderTime(SECOND_FAILSAFE_HOUR, SECOND_FAILSAFE_MINUTE),
+      // Pick up the streak, history and settings from the user's other devices
+      reconcileDeviceSync();
     });
-
-    console.log("Alarms set up successfully");
-  } catch (error) {
-    console.error("Error setting up alarms:", error);
-  }
+  });
 }
 
 /**
- * Function to be injected into the page to extract the streak count
- * @returns {number|null} The extracted streak count or null if not found
+ * Bring stored data up to the current schema version
+ * Each migration is stored together with its version, so an interrupted run
+ * continues where it stopped. Never rejects; a failed migration is logged and
+ * the later ones wait for the next run.
+ * @returns {Promise<void>} Resolves once storage is current or a migration failed
  */
-function extractStreakCountFromPage() {
+async function runStorageMigrations() {
+  let stored;
   try {
-    // Log the DOM for debugging
-    console.log("Attempting to extract streak count from article page");
-
-    // First, try to find the streak element in the popup UI
-    let streakElement = null;
-    let streakCount = null;
-
-    // Try to find the streak element by ID first
-    streakElement = document.getElementById("reading-streak-header-button");
-    console.log("Streak element by ID:", streakElement);
-
-    // Try all possible selectors that might contain the streak count
-    const possibleSelectors = [
-      '[data-testid="reading-streak-header-button"]',
-      ".streak-counter",
-      '[aria-label*="streak"]',
-      '[title*="streak"]',
-      // Add more specific selectors based on the daily.dev UI
-      ".streak-count",
-      '[data-testid="streak-count"]',
-      ".streak-number",
-      // Look for elements containing the word "streak" in their text
-      'div:contains("streak")',
-      'span:contains("streak")',
-      'p:contains("streak")',
-    ];
+    stored = await callChrome((callback) =>
+      chrome.storage.local.get(null, callback)
+    );
+  } catch (error) {
+    logError("Error reading storage for migration:", error);
+    return;
+  }
 
-    // Log all elements that match any of our selectors
-    console.log("Searching for streak elements with various selectors:");
-    for (const selector of possibleSelectors) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        if (elements && elements.length > 0) {
-          console.log(
-            `Found ${elements.length} elements with selector: ${selector}`,
-            elements
-          );
+  const pending = getPendingMigrations(stored[SCHEMA_VERSION_KEY]);
+  if (pending.length === 0) {
+    logger.debug(`Storage already at schema version ${CURRENT_SCHEMA_VERSION}`);
+    return;
+  }
 
-          // If we haven't found a streak element yet, use the first match
-          if (!streakElement && elements.length > 0) {
-            streakElement = elements[0];
-            console.log("Using element:", streakElement);
-          }
+  for (const migration of pending) {
+    try {
+      const updates = migration.migrate(stored);
+      await callChrome((callback) =>
+        chrome.storage.local.set(
+          { ...updates, [SCHEMA_VERSION_KEY]: migration.version },
+          callback
+        )
+      );
+      Object.assign(stored, updates);
 
-          // Check each element for a number
-          for (const el of elements) {
-            const text = el.textContent || el.innerText;
-            console.log(`Element text: "${text}"`);
-
-            // Look for numbers in the text
-            const matches = text.match(/\d+/g);
-            if (matches && matches.length > 0) {
-              console.log("Found numbers in text:", matches);
-
-              // If the text contains "streak" and a number, this is likely our streak count
-              if (text.toLowerCase().includes("streak")) {
-                streakCount = parseInt(matches[0], 10);
-                console.log(
-                  "Extracted streak count from text containing 'streak':",
-                  streakCount
-                );
-                return streakCount; // We found what we're looking for
-              }
-            }
-          }
-        }
-      } catch (selectorError) {
-        console.error(`Error with selector ${selector}:`, selectorError);
-      }
+      const changedKeys = Object.keys(updates);
+      logger.info(
+        `Storage migrated to version ${migration.version}: ${migration.description}`,
+        changedKeys
+      );
+      recordActivity(
+        "migration",
+        changedKeys.length > 0 ? "success" : "skipped",
+        `Storage migrated to version ${migration.version}: ${migration.description}`,
+        { changedKeys: changedKeys }
+      );
+    } catch (error) {
+      logger.error(
+        `Error migrating storage to version ${migration.version}:`,
+        error
+      );
+      recordActivity(
+        "migration",
+        "failure",
+        `Storage migration to version ${migration.version} failed: ${getErrorMessage(error)}`
+      );
+      return;
     }
+  }
+}
 
-    // If we found a streak element but haven't extracted a number yet, try harder
-    if (streakElement) {
-      // Try to extract the number from the element
-      const text = streakElement.textContent || streakElement.innerText;
-      console.log(`Streak element text: "${text}"`);
-
-      // Look for all numbers in the text
-      const matches = text.match(/\d+/g);
+/**
+ * Set up the sync, reminder and failsafe alarms from the stored schedule
+ * Existing alarms are cleared first so disabled entries stop firing
+ */
+function setupAlarms() {
+  try {
+    loadSettings((settings) => {
+      clearRemovedReminderAlarms(settings);
 
-      if (matches && matches.length > 0) {
-        // Use the first number found
-        streakCount = parseInt(matches[0], 10);
-        console.log("Extracted streak count:", streakCount);
-        return streakCount;
-      } else {
-        // If we found the element but couldn't extract a number, check for attributes
-        const ariaLabel = streakElement.getAttribute("aria-label");
-        const title = streakElement.getAttribute("title");
-
-        console.log("Aria label:", ariaLabel);
-        console.log("Title:", title);
-
-        if (ariaLabel) {
-          const ariaMatches = ariaLabel.match(/\d+/g);
-          if (ariaMatches && ariaMatches.length > 0) {
-            streakCount = parseInt(ariaMatches[0], 10);
-            console.log("Extracted streak count from aria-label:", streakCount);
-            return streakCount;
-          }
-        } else if (title) {
-          const titleMatches = title.match(/\d+/g);
-          if (titleMatches && titleMatches.length > 0) {
-            streakCount = parseInt(titleMatches[0], 10);
-            console.log("Extracted streak count from title:", streakCount);
-            return streakCount;
+      for (const { name, ...entry } of getAlarmEntries(settings)) {
+        chrome.alarms.clear(name, () => {
+          if (!entry.enabled) {
+            logger.debug(`Alarm ${name} is disabled`);
+            return;
           }
-        }
-      }
-    }
 
-    // If we still don't have a streak count, try a more aggressive approach
-    if (!streakCount) {
-      console.log("No streak count found yet, trying more aggressive approach");
-
-      // Get all elements in the document
-      const allElements = document.querySelectorAll("*");
+          chrome.alarms.create(name, {
+            periodInMinutes: DAILY_CHECK_MINUTES,
+            when: getNextReminderTime(entry.hour, entry.minute, settings),
+          });
+        });
+      }
 
-      // Look for elements that might contain streak information
-      for (const el of allElements) {
-        const text = el.textContent || el.innerText;
+      recordArmedAlarms(settings);
 
-        // If the text is short and contains a number and the word "streak", it's likely our streak count
-        if (text && text.length < 50 && text.toLowerCase().includes("streak")) {
-          console.log(`Potential streak element: "${text}"`);
+      logger.info("Alarms set up successfully");
+    });
+  } catch (error) {
+    logError("Error setting up alarms:", error);
+  }
+}
 
-          const matches = text.match(/\d+/g);
-          if (matches && matches.length > 0) {
-            streakCount = parseInt(matches[0], 10);
-            console.log(
-              "Extracted streak count from general search:",
-              streakCount
-            );
-            return streakCount;
-          }
-        }
-      }
+/**
+ * Remember when each alarm was armed at its current time and timezone
+ * Times before that were never armed, so they can't have been missed. Alarms
+ * whose time and timezone didn't change keep their earlier record, so saving
+ * unrelated settings doesn't hide a missed failsafe from the catch-up.
+ * @param {Object} settings - The settings object
+ */
+function recordArmedAlarms(settings) {
+  chrome.storage.local.get([ALARMS_ARMED_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      logError("Error accessing storage:", chrome.runtime.lastError);
+      return;
     }
 
-    // If we still couldn't find a streak count, check for any UI elements that might indicate a streak
-    // This is a last resort approach
-    if (!streakCount) {
-      console.log(
-        "Trying last resort approach - looking for any numbers in streak-related UI"
-      );
-
-      // Look for elements with streak-related classes or IDs
-      const streakRelatedElements = document.querySelectorAll(
-        '[class*="streak"], [id*="streak"], [data-*="streak"]'
-      );
-      console.log("Streak-related elements:", streakRelatedElements);
-
-      if (streakRelatedElements.length > 0) {
-        // Check each element and its children for numbers
-        for (const el of streakRelatedElements) {
-          const text = el.textContent || el.innerText;
-          const matches = text.match(/\d+/g);
-
-          if (matches && matches.length > 0) {
-            streakCount = parseInt(matches[0], 10);
-            console.log(
-              "Found streak count in streak-related element:",
-              streakCount
-            );
-            return streakCount;
-          }
-        }
+    const previous = result[ALARMS_ARMED_KEY] || {};
+    const timeZone = resolveTimeZone(settings);
+    const armed = {};
+    for (const entry of getAlarmEntries(settings)) {
+      if (!entry.enabled) {
+        continue;
       }
+      const record = previous[entry.name];
+      armed[entry.name] =
+        record &&
+        record.hour === entry.hour &&
+        record.minute === entry.minute &&
+        record.timeZone === timeZone
+          ? record
+          : {
+              hour: entry.hour,
+              minute: entry.minute,
+              timeZone: timeZone,
+              armedAt: Date.now(),
+            };
     }
 
-    return null;
-  } catch (error) {
-    console.error("Error extracting streak count:", error);
-    return null;
-  }
+    chrome.storage.local.set({ [ALARMS_ARMED_KEY]: armed });
+  });
 }
 
 /**
- * Force sync the streak count from daily.dev
- * This function opens daily.dev in a background tab, extracts the streak count, and then closes the tab
+ * Rebuild the alarms whenever the settings change
  */
-function forceSyncStreakFromDailyDev() {
-  try {
-    console.log("Force syncing streak count from daily.dev");
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local") {
+    return;
+  }
 
-    // Check if we've already maintained the streak today
-    chrome.storage.local.get(["lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        return;
-      }
+  if (changes[SETTINGS_KEY]) {
+    logger = createLogger(
+      mergeSettings(changes[SETTINGS_KEY].newValue).logLevel,
+      "background"
+    );
+    logger.info("Settings changed, rebuilding alarms");
+    setupAlarms();
+  }
 
-      const today = new Date().toDateString();
-      const alreadyMaintained = result.lastVisit === today;
+  // Every write of the streak state goes through here, so the badge can't lag
+  if (
+    changes.streak ||
+    changes.lastVisit ||
+    changes[SETTINGS_KEY] ||
+    changes[STREAK_RULES_KEY]
+  ) {
+    updateBadge();
+  }
+});
 
-      // Create a new tab with daily.dev
-      chrome.tabs.create({ url: DAILY_DEV_URL, active: false }, (tab) => {
-        if (chrome.runtime.lastError) {
-          console.error("Error creating tab:", chrome.runtime.lastError);
-          return;
-        }
+/**
+ * Re-arm alarms and catch up on missed events when the browser starts
+ */
+chrome.runtime.onStartup.addListener(() => {
+  logger.info("Browser started, checking alarms and missed events");
+  ensureAlarms();
+  // Finish migrations an update started before the service worker was stopped,
+  // then check whether another device maintained the streak while this one was off
+  runStorageMigrations()
+    .then(() => reconcileDeviceSync())
+    .then(() => catchUpMissedEvents());
+  updateBadge();
+});
 
-        console.log("Opened daily.dev tab in background for streak sync");
+/**
+ * Re-arm alarms and catch up on missed events when the computer wakes up, is
+ * unlocked or the user returns to it after a while
+ */
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+chrome.idle.onStateChanged.addListener((newState) => {
+  if (newState === "active") {
+    logger.info("System active again, checking alarms and missed events");
+    ensureAlarms();
+    reconcileDeviceSync().then(() => catchUpMissedEvents());
+    updateBadge();
+  }
+});
 
-        // Set up a listener to wait for the tab to fully load
-        const tabLoadListener = (tabId, changeInfo, _) => {
-          // Only proceed if this is our tab and it's fully loaded
-          if (tabId === tab.id && changeInfo.status === "complete") {
-            console.log("Daily.dev page loaded for streak sync");
+/**
+ * Check whether the current streak day falls in a pause range
+ * @param {Object} settings - The settings object
+ * @returns {boolean} Whether the extension is paused today
+ */
+function isPausedToday(settings) {
+  return getPauseRange(settings, getDateKey(getStreakDate(settings))) !== null;
+}
 
-            // Remove this listener as we don't need it anymore
-            chrome.tabs.onUpdated.removeListener(tabLoadListener);
+/**
+ * Mark the current streak day as paused in the history
+ * @param {Object} settings - The settings object
+ */
+function recordPausedDay(settings) {
+  recordHistoryDay(getDateKey(getStreakDate(settings)), { paused: true });
+}
 
-            // Wait a moment for the page to render before extracting the streak count
-            setTimeout(() => {
-              // Extract the streak count
-              chrome.scripting.executeScript(
-                {
-                  target: { tabId: tab.id },
-                  function: extractStreakCountFromPage,
-                },
-                (results) => {
-                  // Close the tab regardless of the result
-                  chrome.tabs.remove(tab.id, () => {
-                    console.log(
-                      "Closed daily.dev tab after streak sync attempt"
-                    );
-                  });
-
-                  if (chrome.runtime.lastError) {
-                    console.error(
-                      "Error executing streak extraction script:",
-                      chrome.runtime.lastError
-                    );
-                    return;
-                  }
+/**
+ * List every scheduled alarm: the sync, the failsafes and each reminder
+ * @param {Object} settings - The settings object
+ * @returns {Array<{name: string, enabled: boolean, hour: number, minute: number}>} Alarm entries keyed by alarm name
+ */
+function getAlarmEntries(settings) {
+  return [
+    ...Object.entries(settings.schedule).map(([name, entry]) => ({
+      name: name,
+      ...entry,
+    })),
+    ...settings.reminders.map((reminder) => ({
+      name: `${REMINDER_ALARM_PREFIX}${reminder.id}`,
+      enabled: reminder.enabled,
+      hour: reminder.hour,
+      minute: reminder.minute,
+    })),
+  ];
+}
 
-                  if (
-                    results &&
-                    results[0] &&
-                    results[0].result &&
-                    !isNaN(results[0].result)
-                  ) {
-                    // Use the extracted streak count
-                    const streakCount = results[0].result;
-                    console.log(
-                      "Successfully extracted streak count from daily.dev:",
-                      streakCount
-                    );
-
-                    // Update the streak count in storage
-                    chrome.storage.local.set(
-                      {
-                        streak: streakCount,
-                        syncedWithDailyDev: true,
-                        lastSyncTime: Date.now(),
-                      },
-                      () => {
-                        if (chrome.runtime.lastError) {
-                          console.error(
-                            "Error updating storage:",
-                            chrome.runtime.lastError
-                          );
-                          return;
-                        }
-
-                        console.log(
-                          "Updated streak count in storage:",
-                          streakCount
-                        );
-
-                        // If we've already maintained the streak today, update the UI
-                        if (alreadyMaintained) {
-                          chrome.storage.local.set({
-                            lastVisit: today,
-                            streakMaintainedToday: true,
-                          });
-                        }
-
-                        // Show a notification about the sync
-                        chrome.notifications.create({
-                          type: "basic",
-                          iconUrl: "../images/icon128.png",
-                          title: "Daily.dev Streak Synced",
-                          message: `Your streak count has been synced with daily.dev: ${streakCount} days.`,
-                          priority: 0,
-                        });
-                      }
-                    );
-                  } else {
-                    console.error(
-                      "Failed to extract streak count from daily.dev"
-                    );
-                  }
-                }
-              );
-            }, 3000); // Wait 3 seconds for the page to fully render
-          }
-        };
+/**
+ * Clear the alarms of reminders that no longer exist, including the fixed
+ * reminder alarms of older versions
+ * @param {Object} settings - The settings object
+ */
+function clearRemovedReminderAlarms(settings) {
+  const names = getAlarmEntries(settings).map((entry) => entry.name);
 
-        // Add the listener
-        chrome.tabs.onUpdated.addListener(tabLoadListener);
+  chrome.alarms.getAll((alarms) => {
+    if (chrome.runtime.lastError) {
+      logError("Error reading alarms:", chrome.runtime.lastError);
+      return;
+    }
 
-        // Set a timeout to remove the listener and close the tab if something goes wrong
-        setTimeout(() => {
-          chrome.tabs.onUpdated.removeListener(tabLoadListener);
-          chrome.tabs.remove(tab.id, () => {
-            console.log("Closed daily.dev tab after timeout");
-          });
-        }, 30000); // 30 seconds timeout
-      });
-    });
-  } catch (error) {
-    console.error("Error force syncing streak count:", error);
-  }
+    for (const alarm of alarms) {
+      const isReminderAlarm =
+        alarm.name.startsWith(REMINDER_ALARM_PREFIX) ||
+        alarm.name in LEGACY_REMINDER_NAMES;
+      if (isReminderAlarm && !names.includes(alarm.name)) {
+        logger.info(`Clearing alarm ${alarm.name} of a removed reminder`);
+        chrome.alarms.clear(alarm.name);
+      }
+    }
+  });
 }
 
 /**
- * Update the streak with the count extracted from daily.dev
- * @param {number} streakCount - The streak count from daily.dev
+ * Make sure every enabled alarm exists and is scheduled at its configured time
+ * Missing or drifted alarms, and alarms armed in another timezone (e.g. the
+ * computer's timezone changed while travelling), are rebuilt; alarms for
+ * disabled entries are cleared.
  */
-function updateStreakWithCount(streakCount) {
+function ensureAlarms() {
   try {
-    chrome.storage.local.get(["lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        return;
-      }
-
-      const today = new Date().toDateString();
-
-      // Determine if this is a new visit for today
-      const isFirstVisitToday = !result.lastVisit || result.lastVisit !== today;
+    loadSettings((settings) => {
+      chrome.storage.local.get([ALARMS_ARMED_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          logError("Error accessing storage:", chrome.runtime.lastError);
+          return;
+        }
 
-      // Update storage with the synced streak information
-      chrome.storage.local.set(
-        {
-          streak: streakCount,
-          lastVisit: today,
-          streakMaintainedToday: true,
-          syncedWithDailyDev: true,
-          lastSyncTime: Date.now(),
-        },
-        () => {
+        const armed = result[ALARMS_ARMED_KEY] || {};
+        const timeZone = resolveTimeZone(settings);
+        chrome.alarms.getAll((alarms) => {
           if (chrome.runtime.lastError) {
-            console.error("Error updating storage:", chrome.runtime.lastError);
+            logError("Error reading alarms:", chrome.runtime.lastError);
             return;
           }
-          console.log(`Streak synced with daily.dev: ${streakCount} days`);
 
-          // Only show notification if this is the first visit today
-          if (isFirstVisitToday) {
-            // Show a notification that the streak has been maintained
-            chrome.notifications.create({
-              type: "basic",
-              iconUrl: "../images/icon128.png",
-              title: "Daily.dev Streak Maintained!",
-              message: `Your streak is now ${streakCount} days (synced with daily.dev). You won't receive any more reminders today.`,
-              priority: 0,
-            });
+          const existing = {};
+          for (const alarm of alarms) {
+            existing[alarm.name] = alarm;
           }
-        }
-      );
-    });
-  } catch (error) {
-    console.error("Error updating streak with count:", error);
-  }
-}
-
-/**
- * Update the user's streak information using internal tracking
- * This is a fallback when we can't extract the streak count from daily.dev
- */
-function updateStreak() {
-  try {
-    chrome.storage.local.get(["streak", "lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        return;
-      }
 
-      const today = new Date().toDateString();
+          clearRemovedReminderAlarms(settings);
 
-      // If this is the first visit of the day
-      if (!result.lastVisit || result.lastVisit !== today) {
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayString = yesterday.toDateString();
+          for (const { name, ...entry } of getAlarmEntries(settings)) {
+            const alarm = existing[name];
 
-        let newStreak = 1;
-        let streakStatus = "started"; // For new streaks
+            if (!entry.enabled) {
+              if (alarm) {
+                logger.debug(`Clearing alarm ${name} because it is disabled`);
+                chrome.alarms.clear(name);
+              }
+              continue;
+            }
 
-        // If yesterday was the last visit, increment streak
-        if (result.lastVisit === yesterdayString) {
-          newStreak = result.streak + 1;
-          streakStatus = "continued";
-        } else if (result.lastVisit) {
-          // If there was a previous visit but not yesterday, streak was broken
-          streakStatus = "reset";
-        }
+            const expected = getNextReminderTime(
+              entry.hour,
+              entry.minute,
+              settings
+            );
 
-        // Update storage with new streak information
-        chrome.storage.local.set(
-          {
-            streak: newStreak,
-            lastVisit: today,
-            streakMaintainedToday: true,
-            syncedWithDailyDev: false,
-          },
-          () => {
-            if (chrome.runtime.lastError) {
-              console.error(
-                "Error updating storage:",
-                chrome.runtime.lastError
+            if (!alarm) {
+              logger.info(`Alarm ${name} is missing, rebuilding it`);
+            } else if (armed[name] && armed[name].timeZone !== timeZone) {
+              logger.info(
+                `Alarm ${name} was armed for ${armed[name].timeZone}, rebuilding it for ${timeZone}`
               );
-              return;
+            } else if (
+              Math.abs(alarm.scheduledTime - expected) >
+              ALARM_DRIFT_TOLERANCE_MS
+            ) {
+              logger.info(
+                `Alarm ${name} drifted to ${new Date(
+                  alarm.scheduledTime
+                ).toLocaleString()}, rebuilding it`
+              );
+            } else {
+              continue;
             }
-            console.log(
-              `Streak ${streakStatus} and updated to ${newStreak} days (internal tracking)`
-            );
 
-            // Show a notification that the streak has been maintained
-            chrome.notifications.create({
-              type: "basic",
-              iconUrl: "../images/icon128.png",
-              title: "Daily.dev Streak Maintained!",
-              message:
-                streakStatus === "continued"
-                  ? `Great job! Your streak is now ${newStreak} days. You won't receive any more reminders today.`
-                  : "You've maintained your streak for today! You won't receive any more reminders until tomorrow.",
-              priority: 0,
+            chrome.alarms.create(name, {
+              periodInMinutes: DAILY_CHECK_MINUTES,
+              when: expected,
             });
           }
-        );
-      } else {
-        console.log("Streak already updated today, no changes needed");
-      }
+
+          recordArmedAlarms(settings);
+        });
+      });
     });
   } catch (error) {
-    console.error("Error updating streak:", error);
+    logError("Error checking alarms:", error);
   }
 }
 
 /**
- * Get the timestamp for the next reminder with configurable time
- * @param {number} hour - Hour for the reminder (24-hour format)
- * @param {number} minute - Minute for the reminder
- * @returns {number} Timestamp for the next reminder
+ * Get the reminders and failsafes that already ran on a streak day
+ * @param {Object} [alarmRuns] - Stored alarm runs ({ day, runs })
+ * @param {string} day - The streak day to look up
+ * @returns {Object} Run timestamps keyed by alarm name
  */
-function getNextReminderTime(hour = 23, minute = 0) {
-  try {
-    const now = new Date();
-    const reminder = new Date();
-    reminder.setHours(hour, minute, 0, 0);
-
-    // If it's already past the specified time, schedule for tomorrow
-    if (now > reminder) {
-      reminder.setDate(reminder.getDate() + 1);
-    }
-
-    return reminder.getTime();
-  } catch (error) {
-    console.error("Error calculating reminder time:", error);
-    // Return a default time (24 hours from now) in case of error
-    return Date.now() + 24 * 60 * 60 * 1000;
-  }
+function getAlarmRunsForDay(alarmRuns, day) {
+  return alarmRuns && alarmRuns.day === day ? alarmRuns.runs || {} : {};
 }
 
 /**
- * Format a time in 24-hour format to a user-friendly string (e.g., "8:00 PM")
- * @param {number} hour - Hour in 24-hour format
- * @param {number} minute - Minute
- * @returns {string} Formatted time string
+ * Record that reminders or failsafes ran (or were caught up) on a streak day
+ * @param {string[]} names - Names of the alarms that ran
+ * @param {string} day - The streak day they ran on
  */
-function formatTime(hour, minute) {
-  try {
-    const date = new Date();
-    date.setHours(hour, minute, 0, 0);
-
-    // Format the time as "h:mm A" (e.g., "8:00 PM")
-    return date.toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-      hour12: true,
-    });
-  } catch (error) {
-    console.error("Error formatting time:", error);
-    return `${hour}:${minute < 10 ? "0" + minute : minute}`;
-  }
+function recordAlarmRuns(names, day) {
+  chrome.storage.local.get([ALARM_RUNS_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      logError("Error accessing storage:", chrome.runtime.lastError);
+      return;
+    }
+
+    const runs = { ...getAlarmRunsForDay(result[ALARM_RUNS_KEY], day) };
+    for (const name of names) {
+      runs[name] = Date.now();
+    }
+
+    chrome.storage.local.set({ [ALARM_RUNS_KEY]: { day: day, runs: runs } });
+  });
 }
 
 /**
- * Handle alarm events
+ * Notice reminders and failsafes that should have run today but didn't
+ * (because Chrome was closed or the computer was asleep) and catch up on them
+ * A missed failsafe runs straight away; missed reminders are sent late.
  */
-chrome.alarms.onAlarm.addListener((alarm) => {
+function catchUpMissedEvents() {
   try {
-    console.log(
-      `Alarm triggered: ${alarm.name} at ${new Date().toLocaleTimeString()}`
-    );
+    chrome.storage.local.get(
+      [
+        "lastVisit",
+        SETTINGS_KEY,
+        ALARM_RUNS_KEY,
+        ALARMS_ARMED_KEY,
+        STREAK_RULES_KEY,
+      ],
+      (result) => {
+        if (chrome.runtime.lastError) {
+          logError("Error accessing storage:", chrome.runtime.lastError);
+          return;
+        }
 
-    // Handle force sync alarm separately - this should always run regardless of streak status
-    if (alarm.name === "forceStreakSync") {
-      forceSyncStreakFromDailyDev();
-      return;
-    }
+        const settings = mergeSettings(result[SETTINGS_KEY]);
+        const today = getStreakDayString(settings);
 
-    // For other alarms, check if streak has been maintained before taking any action
-    chrome.storage.local.get(["lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        return;
-      }
+        if (isPausedToday(settings)) {
+          logger.info("The extension is paused today, nothing to catch up");
+          recordPausedDay(settings);
+          return;
+        }
 
-      const today = new Date().toDateString();
-
-      // Only proceed if streak hasn't been maintained today
-      if (!result.lastVisit || result.lastVisit !== today) {
-        // Handle different alarm types
-        if (
-          alarm.name === "firstStreakReminder" ||
-          alarm.name === "secondStreakReminder"
-        ) {
-          // Send appropriate reminder notification based on which alarm triggered
-          const isSecondReminder = alarm.name === "secondStreakReminder";
-          checkStreakAndNotify(isSecondReminder);
-        } else if (
-          alarm.name === "firstStreakFailsafe" ||
-          alarm.name === "secondStreakFailsafe"
-        ) {
-          // Execute failsafe mechanism
-          executeStreakFailsafe();
+        const rules = mergeStreakRules(result[STREAK_RULES_KEY]);
+        if (!isReadingDay(rules, getStreakDate(settings))) {
+          logger.info("daily.dev doesn't count today, nothing to catch up");
+          return;
         }
-      } else {
-        console.log(
-          `Alarm ${alarm.name} triggered, but streak already maintained for today. No action needed.`
-        );
-      }
-    });
-  } catch (error) {
-    console.error(`Error handling alarm ${alarm.name}:`, error);
-  }
-});
 
-/**
- * Check if user has visited today and notify if not
- * @param {boolean} isUrgent - Whether this is the urgent (second) reminder
- */
-function checkStreakAndNotify(isUrgent = false) {
-  try {
-    chrome.storage.local.get(["streak", "lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        return;
-      }
+        if (result.lastVisit === today) {
+          logger.info("Streak already maintained today, nothing to catch up");
+          return;
+        }
 
-      const today = new Date().toDateString();
-
-      // Only send notification if streak hasn't been maintained today
-      if (!result.lastVisit || result.lastVisit !== today) {
-        // Get the next failsafe time based on which reminder this is
-        const nextFailsafeHour = isUrgent
-          ? SECOND_FAILSAFE_HOUR
-          : FIRST_FAILSAFE_HOUR;
-        const nextFailsafeMinute = isUrgent
-          ? SECOND_FAILSAFE_MINUTE
-          : FIRST_FAILSAFE_MINUTE;
-
-        // Format the time for display (e.g., "8:00 PM" or "10:15 PM")
-        const failsafeTimeString = formatTime(
-          nextFailsafeHour,
-          nextFailsafeMinute
+        const runs = getAlarmRunsForDay(result[ALARM_RUNS_KEY], today);
+        const armed = result[ALARMS_ARMED_KEY] || {};
+        const now = Date.now();
+
+        const missed = [
+          ...getEnabledReminders(settings.reminders),
+          ...getEnabledScheduleEntries(settings.schedule, "Failsafe"),
+        ]
+          .map((entry) => ({
+            ...entry,
+            time: getStreakDayTime(entry.hour, entry.minute, settings),
+          }))
+          .filter(
+            (entry) =>
+              entry.time <= now &&
+              armed[entry.name] &&
+              entry.time > armed[entry.name].armedAt &&
+              !runs[entry.name]
+          )
+          .sort((a, b) => a.time - b.time);
+
+        if (missed.length === 0) {
+          logger.info("No missed reminders or failsafes today");
+          return;
+        }
+
+        logger.info(
+          `Missed today: ${missed
+            .map(
+              (entry) =>
+                `${entry.name} (${formatTime(entry.hour, entry.minute)})`
+            )
+            .join(", ")}`
+        );
+        recordAlarmRuns(
+          missed.map((entry) => entry.name),
+          today
         );
 
-        // Determine notification message based on urgency
-        const title = isUrgent
-          ? "URGENT: Daily.dev Streak About to Expire!"
-          : "Daily.dev Streak Reminder";
+        const missedFailsafes = missed.filter((entry) =>
+          entry.name.endsWith("Failsafe")
+        );
 
-        const message = isUrgent
-          ? `Your streak will expire soon! The extension will automatically maintain your streak at ${failsafeTimeString} if you don't visit daily.dev before then.`
-          : `Don't forget to visit daily.dev today to maintain your streak! A failsafe will activate at ${failsafeTimeString} if needed.`;
+        if (missedFailsafes.length > 0) {
+          logger.info("Running catch-up failsafe for missed failsafe window");
 
-        // Show reminder notification
-        chrome.notifications.create(
-          {
+          chrome.notifications.create({
             type: "basic",
             iconUrl: "../images/icon128.png",
-            title: title,
-            message: message,
-            priority: isUrgent ? 2 : 1,
-          },
-          (notificationId) => {
-            if (chrome.runtime.lastError) {
-              console.error(
-                "Error creating notification:",
-                chrome.runtime.lastError
-              );
-              return;
-            }
-            console.log(
-              `${isUrgent ? "Urgent" : "Regular"} reminder notification sent:`,
-              notificationId
-            );
-          }
-        );
-      } else {
-        console.log(
-          "Streak already maintained for today, no notification needed"
-        );
+            title: "Daily.dev Streak Catch-up",
+            message: `The ${formatTimeList(
+              missedFailsafes
+            )} failsafe was missed while Chrome was closed or asleep. Opening daily.dev now to keep your streak.`,
+            priority: 1,
+          });
+
+          enqueueStreakJob("failsafe");
+        } else {
+          // Only reminders were missed, so a failsafe is still to come today
+          const lastMissed = missed[missed.length - 1];
+          logger.info(`Sending missed reminder ${lastMissed.name} late`);
+          checkStreakAndNotify(lastMissed);
+        }
       }
-    });
+    );
   } catch (error) {
-    console.error("Error checking streak and notifying:", error);
+    logError("Error catching up on missed events:", error);
   }
 }
 
 /**
- * Failsafe function to automatically open daily.dev and maintain streak
- * if user hasn't done so by the failsafe time
+ * Refresh the toolbar badge and schedule the next refresh
  */
-function executeStreakFailsafe() {
+function updateBadge() {
   try {
-    chrome.storage.local.get(["streak", "lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        return;
-      }
+    chrome.storage.local.get(
+      ["streak", "lastVisit", SETTINGS_KEY, STREAK_RULES_KEY],
+      (result) => {
+        if (chrome.runtime.lastError) {
+          logError("Error accessing storage:", chrome.runtime.lastError);
+          return;
+        }
 
-      const today = new Date().toDateString();
+        const settings = mergeSettings(result[SETTINGS_KEY]);
+        const rules = mergeStreakRules(result[STREAK_RULES_KEY]);
+        const streakDone = result.lastVisit === getStreakDayString(settings);
+        const badge = getBadgeState(
+          result.streak || 0,
+          streakDone,
+          settings,
+          rules
+        );
 
-      // Double-check that streak hasn't been maintained today
-      if (!result.lastVisit || result.lastVisit !== today) {
-        console.log("Executing streak failsafe mechanism");
+        chrome.action.setBadgeText({ text: badge.text });
+        chrome.action.setBadgeBackgroundColor({
+          color: BADGE_COLORS[badge.state],
+        });
+        chrome.action.setTitle({
+          title: `Daily.dev Streak Keeper - ${badge.description}`,
+        });
 
-        // Create a new tab with daily.dev
-        chrome.tabs.create({ url: DAILY_DEV_URL }, (tab) => {
-          if (chrome.runtime.lastError) {
-            console.error("Error creating tab:", chrome.runtime.lastError);
-            return;
+        chrome.alarms.create(BADGE_ALARM, { when: badge.nextUpdate });
+      }
+    );
+  } catch (error) {
+    logError("Error updating badge:", error);
+  }
+}
+
+/**
+ * Work out what the badge should show right now
+ * @param {number} streak - The current streak count
+ * @param {boolean} streakDone - Whether today's streak is already maintained
+ * @param {Object} settings - The settings object
+ * @param {Object} rules - The streak rules
+ * @param {Date} [now=new Date()] - The moment to check
+ * @returns {{state: string, text: string, description: string, nextUpdate: number}} Badge state, text, tooltip and when it next changes
+ */
+function getBadgeState(streak, streakDone, settings, rules, now = new Date()) {
+  const dayEnd = getStreakDayEnd(settings, now);
+  const urgentFrom = dayEnd - BADGE_URGENT_MINUTES * 60 * 1000;
+
+  const pauseEnd = getPauseEnd(
+    settings,
+    getDateKey(getStreakDate(settings, now))
+  );
+  if (pauseEnd && !streakDone) {
+    const [year, month, day] = pauseEnd.split("-").map(Number);
+    return {
+      state: "pending",
+      text: String(streak),
+      description: `paused through ${new Date(
+        year,
+        month - 1,
+        day
+      ).toDateString()}`,
+      nextUpdate: dayEnd,
+    };
+  }
+
+  if (!streakDone && !isReadingDay(rules, getStreakDate(settings, now))) {
+    return {
+      state: "pending",
+      text: String(streak),
+      description: `${streak} day streak, daily.dev doesn't count today`,
+      nextUpdate: dayEnd,
+    };
+  }
+
+  if (streakDone) {
+    return {
+      state: "done",
+      text: String(streak),
+      description: `${streak} day streak, today is done`,
+      nextUpdate: dayEnd,
+    };
+  }
+
+  if (now.getTime() >= urgentFrom) {
+    const minutesLeft = Math.max(
+      1,
+      Math.ceil((dayEnd - now.getTime()) / (60 * 1000))
+    );
+    return {
+      state: "urgent",
+      text: `${minutesLeft}m`,
+      description: `${minutesLeft} minutes left to keep your ${streak} day streak`,
+      nextUpdate: Math.min(now.getTime() + 60 * 1000, dayEnd),
+    };
+  }
+
+  const firstReminder = getEnabledReminders(settings.reminders)[0];
+  const warningFrom = firstReminder
+    ? getStreakDayTime(firstReminder.hour, firstReminder.minute, settings, now)
+    : urgentFrom;
+
+  if (now.getTime() >= warningFrom) {
+    return {
+      state: "warning",
+      text: String(streak),
+      description: `${streak} day streak, read on daily.dev today`,
+      nextUpdate: urgentFrom,
+    };
+  }
+
+  return {
+    state: "pending",
+    text: String(streak),
+    description: `${streak} day streak, not read today yet`,
+    nextUpdate: Math.min(warningFrom, urgentFrom),
+  };
+}
+
+/**
+ * Function to be injected into the page to extract the streak count
+ * Runs ordered extraction strategies (test id, aria-label, class heuristics,
+ * text scan) and keeps the reading with the highest confidence.
+ * Also reports whether daily.dev shows its "read today" mark.
+ * @param {Object} profile - The active selector profile
+ * @param {string} logLevel - The log level from the settings
+ * @returns {{value: number|null, confidence: number, strategy: string|null, readings: Array<Object>, readToday: boolean}} The best streak reading, plus every reading found
+ */
+function extractStreakCountFromPage(profile, logLevel) {
+  // Injected with the page function by executeWithSelectorProfile
+  const log = createLogger(logLevel, "streak reading");
+
+  // Find elements for a list of selectors, skipping any the page rejects
+  const queryAll = (selectors) => {
+    const elements = [];
+    for (const selector of selectors) {
+      const done = log.time(`Streak selector ${selector}`);
+      try {
+        const matches = document.querySelectorAll(selector);
+        elements.push(...matches);
+        done(`${matches.length} matches`);
+      } catch (error) {
+        log.error(`Invalid streak selector ${selector}:`, error);
+      }
+    }
+    return elements;
+  };
+
+  // Parse a number that makes up nearly all of a short text, e.g. "12" or "🔥 12"
+  const parseStandaloneNumber = (text) => {
+    const match = /^\D{0,3}(\d{1,5})\D{0,3}$/.exec((text || "").trim());
+    return match ? parseInt(match[1], 10) : null;
+  };
+
+  // Parse a number tied to the word "streak", e.g. "Reading streak: 12" or
+  // "12 day streak". "Read 3 posts about streaks" deliberately doesn't match.
+  const parseStreakPhrase = (text) => {
+    const normalized = (text || "").replace(/\s+/g, " ").trim();
+    const match =
+      /\bstreak\b\D{0,12}?(\d{1,5})\b/i.exec(normalized) ||
+      /\b(\d{1,5})[\s-]*days?\s+(?:reading\s+)?streak\b/i.exec(normalized);
+    return match ? parseInt(match[1], 10) : null;
+  };
+
+  // Strategies in order of trust; each returns { value, confidence } or null
+  const strategies = [
+    {
+      name: "testId",
+      run: () => {
+        for (const element of queryAll(profile.streakSelectors.testId)) {
+          const standalone = parseStandaloneNumber(element.textContent);
+          if (standalone !== null) {
+            return { value: standalone, confidence: 0.95 };
+          }
+
+          const phrase =
+            parseStreakPhrase(element.textContent) !== null
+              ? parseStreakPhrase(element.textContent)
+              : parseStreakPhrase(element.getAttribute("aria-label"));
+          if (phrase !== null) {
+            return { value: phrase, confidence: 0.9 };
+          }
+        }
+        return null;
+      },
+    },
+    {
+      name: "ariaLabel",
+      run: () => {
+        for (const element of queryAll(profile.streakSelectors.ariaLabel)) {
+          const value =
+            parseStreakPhrase(element.getAttribute("aria-label")) !== null
+              ? parseStreakPhrase(element.getAttribute("aria-label"))
+              : parseStreakPhrase(element.getAttribute("title"));
+          if (value !== null) {
+            return { value: value, confidence: 0.8 };
+          }
+        }
+        return null;
+      },
+    },
+    {
+      name: "classHeuristics",
+      run: () => {
+        const elements = queryAll(profile.streakSelectors.classHeuristics);
+        for (const element of elements) {
+          const value = parseStandaloneNumber(element.textContent);
+          if (value !== null) {
+            // Streak counters live in the header; elsewhere it's a weaker hint
+            const inHeader = element.closest("header, nav") !== null;
+            return { value: value, confidence: inHeader ? 0.7 : 0.5 };
+          }
+        }
+        return null;
+      },
+    },
+    {
+      name: "textScan",
+      run: () => {
+        if (!document.body) {
+          return null;
+        }
+
+        const walker = document.createTreeWalker(
+          document.body,
+          NodeFilter.SHOW_TEXT
+        );
+        while (walker.nextNode()) {
+          const container = walker.currentNode.parentElement;
+          if (!container || !/streak/i.test(walker.currentNode.textContent)) {
+            continue;
+          }
+
+          const text = container.textContent;
+          if (text.length > 40) {
+            continue;
+          }
+
+          const value = parseStreakPhrase(text);
+          if (value !== null) {
+            return { value: value, confidence: 0.4 };
+          }
+        }
+        return null;
+      },
+    },
+  ];
+
+  const readings = [];
+  for (const strategy of strategies) {
+    const done = log.time(`Streak strategy ${strategy.name}`);
+    try {
+      const reading = strategy.run();
+      done(reading ? `read ${reading.value}` : "nothing found");
+      if (reading) {
+        readings.push({ strategy: strategy.name, ...reading });
+
+        // Nothing later in the list can beat a near-certain reading
+        if (reading.confidence >= 0.9) {
+          break;
+        }
+      }
+    } catch (error) {
+      log.error(`Streak strategy ${strategy.name} failed:`, error);
+    }
+  }
+
+  const best = readings.reduce(
+    (current, reading) =>
+      !current || reading.confidence > current.confidence ? reading : current,
+    null
+  );
+
+  let readToday = false;
+  if (profile.readTodaySelector) {
+    try {
+      readToday = document.querySelector(profile.readTodaySelector) !== null;
+    } catch (error) {
+      log.error(
+        `Invalid read-today selector ${profile.readTodaySelector}:`,
+        error
+      );
+    }
+  }
+
+  log.info("Streak readings:", readings, "read today:", readToday);
+
+  return best
+    ? { ...best, readings: readings, readToday: readToday }
+    : {
+        value: null,
+        confidence: 0,
+        strategy: null,
+        readings: readings,
+        readToday: readToday,
+      };
+}
+
+/**
+ * Function to be injected into the page to read daily.dev's streak rules
+ * Opens the streak popup if its weekdays aren't on the page yet. Weekdays
+ * labelled as a day off (or similar) don't count towards the streak.
+ * @param {Object} profile - The active selector profile
+ * @param {string} logLevel - The log level from the settings
+ * @returns {Promise<{readingDays: number[]|null, freezes: number|null}>} The counted weekdays and freezes left, null where they weren't found
+ */
+async function extractStreakRulesFromPage(profile, logLevel) {
+  // Injected with the page function by executeWithSelectorProfile
+  const log = createLogger(logLevel, "streak rules");
+
+  // Find elements for a selector, treating one the page rejects as no match
+  const queryAll = (selector) => {
+    if (!selector) {
+      return [];
+    }
+    const done = log.time(`Streak rule selector ${selector}`);
+    try {
+      const matches = [...document.querySelectorAll(selector)];
+      done(`${matches.length} matches`);
+      return matches;
+    } catch (error) {
+      log.error(`Invalid streak rule selector ${selector}:`, error);
+      return [];
+    }
+  };
+
+  const describe = (element) =>
+    [
+      element.getAttribute("aria-label"),
+      element.getAttribute("title"),
+      element.textContent,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .replace(/\s+/g, " ")
+      .trim();
+
+  // The weekdays only show in the streak popup, opened from the header button
+  if (queryAll(profile.readingDaySelector).length === 0) {
+    const streakButton = queryAll(profile.streakSelectors.testId[0])[0];
+    if (streakButton) {
+      streakButton.click();
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+    }
+  }
+
+  const weekdayPattern = /\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/i;
+  const dayOffPattern =
+    /\b(day off|off day|rest day|weekend|not counted|doesn't count)\b/i;
+  const weekdays = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+  const seen = new Set();
+  const daysOff = new Set();
+  for (const element of queryAll(profile.readingDaySelector)) {
+    const label = describe(element);
+    const match = weekdayPattern.exec(label);
+    if (!match) {
+      continue;
+    }
+
+    const weekday = weekdays.indexOf(match[1].toLowerCase());
+    seen.add(weekday);
+    if (
+      dayOffPattern.test(label) ||
+      element.hasAttribute("data-day-off") ||
+      element.getAttribute("aria-disabled") === "true"
+    ) {
+      daysOff.add(weekday);
+    }
+  }
+
+  let readingDays = null;
+  if (seen.size > 0) {
+    readingDays = [0, 1, 2, 3, 4, 5, 6].filter((day) => !daysOff.has(day));
+    if (readingDays.length === 0) {
+      readingDays = null;
+    }
+  }
+
+  let freezes = null;
+  for (const element of queryAll(profile.streakFreezeSelector)) {
+    const label = describe(element);
+    const match =
+      /(\d{1,3})\s*(?:streak\s*)?freezes?\b/i.exec(label) ||
+      /\bfreezes?\D{0,12}?(\d{1,3})\b/i.exec(label) ||
+      /^\D{0,3}(\d{1,3})\D{0,3}$/.exec(label);
+    if (match) {
+      freezes = parseInt(match[1], 10);
+      break;
+    }
+  }
+
+  log.info("Streak rules:", { readingDays: readingDays, freezes: freezes });
+
+  return { readingDays: readingDays, freezes: freezes };
+}
+
+/**
+ * Read daily.dev's streak rules from a loaded daily.dev tab and store them
+ * Rules that aren't found on the page keep their stored value.
+ * @param {number} tabId - The ID of the daily.dev tab
+ * @param {function(): void} callback - Called once the rules are stored (or couldn't be read)
+ */
+function syncStreakRules(tabId, callback) {
+  executeWithSelectorProfile(tabId, extractStreakRulesFromPage, (results) => {
+    if (chrome.runtime.lastError) {
+      logError(
+        "Error executing streak rules script:",
+        chrome.runtime.lastError
+      );
+      callback();
+      return;
+    }
+
+    const found = results && results[0] && results[0].result;
+    if (!found || (found.readingDays === null && found.freezes === null)) {
+      logger.debug("No streak rules found on daily.dev");
+      callback();
+      return;
+    }
+
+    loadStreakRules((rules) => {
+      const updated = { ...rules, syncedAt: Date.now() };
+      if (found.readingDays !== null) {
+        updated.readingDays = found.readingDays;
+      }
+      if (found.freezes !== null) {
+        updated.freezes = found.freezes;
+      }
+
+      logger.info("Synced streak rules from daily.dev:", updated);
+      saveStreakRules(updated, () => callback());
+    });
+  });
+}
+
+/**
+ * Inject one of the page functions with the active selector profile and log level as its first arguments
+ * The shared logger is injected first so the function can create its own.
+ * @param {number} tabId - The ID of the tab to execute the script in
+ * @param {Function} func - The function to inject (clickPreferredArticle, extractStreakCountFromPage or extractStreakRulesFromPage)
+ * @param {function(Array<Object>): void} callback - Receives the injection results; chrome.runtime.lastError is set on failure
+ * @param {Array} [extraArgs=[]] - Further arguments passed after the log level
+ */
+function executeWithSelectorProfile(tabId, func, callback, extraArgs = []) {
+  loadSelectorProfile((profile) => {
+    chrome.scripting.executeScript(
+      {
+        target: { tabId: tabId },
+        files: ["src/js/logger.js"],
+      },
+      () => {
+        if (chrome.runtime.lastError) {
+          callback(undefined);
+          return;
+        }
+
+        chrome.scripting.executeScript(
+          {
+            target: { tabId: tabId },
+            function: func,
+            args: [profile, logger.level, ...extraArgs],
+          },
+          callback
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Pick the streak count out of an extraction result, keeping only readings
+ * confident enough to overwrite the stored count
+ * @param {Array<Object>} results - Results from chrome.scripting.executeScript
+ * @returns {number|null} The trusted streak count, or null if there isn't one
+ */
+function getTrustedStreakCount(results) {
+  const reading = results && results[0] && results[0].result;
+
+  if (!reading || reading.value === null || isNaN(reading.value)) {
+    logger.info("No streak count found on daily.dev");
+    recordActivity(
+      "extraction",
+      "failure",
+      "No streak count found on daily.dev",
+      reading || undefined
+    );
+    return null;
+  }
+
+  if (reading.confidence < MIN_STREAK_CONFIDENCE) {
+    logger.info(
+      `Ignoring low-confidence streak reading ${reading.value} from the ${reading.strategy} strategy (confidence ${reading.confidence})`
+    );
+    recordActivity(
+      "extraction",
+      "failure",
+      `Ignored low-confidence streak reading ${reading.value} from the ${reading.strategy} strategy`,
+      reading
+    );
+    return null;
+  }
+
+  logger.info(
+    `Streak reading ${reading.value} from the ${reading.strategy} strategy (confidence ${reading.confidence})`
+  );
+  recordActivity(
+    "extraction",
+    "success",
+    `Read streak ${reading.value} from the ${reading.strategy} strategy`,
+    reading
+  );
+  return reading.value;
+}
+
+/**
+ * Sync the streak count (and streak rules) from daily.dev
+ * Opens daily.dev in a background tab, reads the streak count and closes the
+ * tab again. Runs as a streak job; see enqueueStreakJob.
+ * @param {Object} [params={}] - Job parameters
+ * @param {boolean} [params.manual=false] - Whether the popup asked for the sync
+ * @param {AbortSignal} [signal] - Aborted when the job is given up on
+ * @returns {Promise<{success: boolean, streakCount?: number, error?: string}>} The outcome, as sent back to the popup
+ */
+async function syncStreakFromDailyDev(params = {}, signal) {
+  const label = params.manual ? "manual streak sync" : "streak sync";
+  logger.info(`Starting ${label} from daily.dev`);
+
+  const result = await callChrome((callback) =>
+    chrome.storage.local.get(["lastVisit", SETTINGS_KEY], callback)
+  );
+  const settings = mergeSettings(result[SETTINGS_KEY]);
+  const today = getStreakDayString(settings);
+  const alreadyMaintained = result.lastVisit === today;
+
+  const tab = await callChrome((callback) =>
+    chrome.tabs.create({ url: DAILY_DEV_URL, active: false }, callback)
+  );
+  logger.debug(`Opened daily.dev tab in background for ${label}`);
+
+  // Keep the auto-read from clicking an article in the sync tab
+  tabsBeingRead.add(tab.id);
+  trackStreakJobTab(tab.id);
+
+  try {
+    if (!(await new Promise((resolve) => waitForTabLoad(tab.id, resolve)))) {
+      return { success: false, error: "Timeout" };
+    }
+
+    // Wait a moment for the page to render before extracting the streak count
+    await delay(3000);
+    checkStreakJobCancelled(signal);
+
+    let results;
+    try {
+      results = await callChrome((callback) =>
+        executeWithSelectorProfile(tab.id, extractStreakCountFromPage, callback)
+      );
+    } catch (error) {
+      logError("Error executing streak extraction script:", error);
+      return { success: false, error: "Script execution failed" };
+    }
+
+    // Read the streak rules too while the page is open
+    await new Promise((resolve) => syncStreakRules(tab.id, resolve));
+    checkStreakJobCancelled(signal);
+
+    const streakCount = getTrustedStreakCount(results);
+    if (streakCount === null) {
+      logError("Failed to extract streak count from daily.dev");
+      return { success: false, error: "Could not extract streak count" };
+    }
+    logger.info(
+      "Successfully extracted streak count from daily.dev:",
+      streakCount
+    );
+
+    try {
+      await callChrome((callback) =>
+        chrome.storage.local.set(
+          {
+            streak: streakCount,
+            syncedWithDailyDev: true,
+            lastSyncTime: Date.now(),
+          },
+          callback
+        )
+      );
+    } catch (error) {
+      logError("Error updating storage:", error);
+      return { success: false, error: "Storage update failed" };
+    }
+    logger.info("Updated streak count in storage:", streakCount);
+
+    // If we've already maintained the streak today, keep today in step. If
+    // daily.dev counted a read we didn't see (e.g. on a phone), today is
+    // maintained as well, confirmed only by this sync.
+    const reading = results && results[0] && results[0].result;
+    const readElsewhere =
+      !alreadyMaintained && Boolean(reading && reading.readToday);
+    if (alreadyMaintained || readElsewhere) {
+      chrome.storage.local.set({
+        lastVisit: today,
+        streakMaintainedToday: true,
+      });
+      const historyEntry = {
+        maintained: true,
+        streakCount: streakCount,
+        syncedWithDailyDev: true,
+      };
+      if (readElsewhere) {
+        historyEntry.time = Date.now();
+        historyEntry.method = "sync";
+        logger.info(
+          "daily.dev shows a read today, marking today as maintained"
+        );
+        recordActivity(
+          "sync",
+          "success",
+          "daily.dev shows a read today, so today is maintained"
+        );
+      }
+      recordHistoryDay(getDateKey(getStreakDate(settings)), historyEntry);
+    }
+
+    // The popup shows the result of a manual sync itself
+    if (!params.manual) {
+      chrome.notifications.create({
+        type: "basic",
+        iconUrl: "../images/icon128.png",
+        title: "Daily.dev Streak Synced",
+        message: `Your streak count has been synced with daily.dev: ${streakCount} days.`,
+        priority: 0,
+      });
+    }
+
+    return { success: true, streakCount: streakCount };
+  } finally {
+    tabsBeingRead.delete(tab.id);
+    chrome.tabs.remove(tab.id, () => {
+      if (chrome.runtime.lastError) {
+        logError("Error closing sync tab:", chrome.runtime.lastError);
+        return;
+      }
+      logger.debug(`Closed daily.dev tab after ${label} attempt`);
+    });
+  }
+}
+
+/**
+ * Update the streak with the count extracted from daily.dev
+ * @param {number} streakCount - The streak count from daily.dev
+ * @param {string} method - How the day was kept (see HISTORY_METHODS)
+ */
+function updateStreakWithCount(streakCount, method) {
+  try {
+    chrome.storage.local.get(["lastVisit", SETTINGS_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        logError("Error accessing storage:", chrome.runtime.lastError);
+        return;
+      }
+
+      const settings = mergeSettings(result[SETTINGS_KEY]);
+      const today = getStreakDayString(settings);
+
+      // Determine if this is a new visit for today
+      const isFirstVisitToday = !result.lastVisit || result.lastVisit !== today;
+
+      // Update storage with the synced streak information
+      chrome.storage.local.set(
+        {
+          streak: streakCount,
+          lastVisit: today,
+          streakMaintainedToday: true,
+          syncedWithDailyDev: true,
+          lastSyncTime: Date.now(),
+        },
+        () => {
+          if (chrome.runtime.lastError) {
+            logError("Error updating storage:", chrome.runtime.lastError);
+            return;
+          }
+          logger.info(`Streak synced with daily.dev: ${streakCount} days`);
+
+          // Record the day, keeping the original time and method on repeat visits
+          const historyEntry = {
+            maintained: true,
+            streakCount: streakCount,
+            syncedWithDailyDev: true,
+          };
+          if (isFirstVisitToday) {
+            historyEntry.time = Date.now();
+            historyEntry.method = method;
+          }
+          recordHistoryDay(getDateKey(getStreakDate(settings)), historyEntry);
+
+          // Only show notification if this is the first visit today
+          if (isFirstVisitToday) {
+            // Show a notification that the streak has been maintained
+            chrome.notifications.create({
+              type: "basic",
+              iconUrl: "../images/icon128.png",
+              title: "Daily.dev Streak Maintained!",
+              message: `Your streak is now ${streakCount} days (synced with daily.dev). You won't receive any more reminders today.`,
+              priority: 0,
+            });
+          }
+        }
+      );
+    });
+  } catch (error) {
+    logError("Error updating streak with count:", error);
+  }
+}
+
+/**
+ * Update the user's streak information using internal tracking
+ * This is a fallback when we can't extract the streak count from daily.dev
+ * @param {string} method - How the day was kept (see HISTORY_METHODS)
+ */
+function updateStreak(method) {
+  try {
+    chrome.storage.local.get(
+      ["streak", "lastVisit", SETTINGS_KEY, STREAK_RULES_KEY],
+      (result) => {
+        if (chrome.runtime.lastError) {
+          logError("Error accessing storage:", chrome.runtime.lastError);
+          return;
+        }
+
+        const settings = mergeSettings(result[SETTINGS_KEY]);
+        const rules = mergeStreakRules(result[STREAK_RULES_KEY]);
+        const today = getStreakDayString(settings);
+
+        // If this is the first visit of the day
+        if (!result.lastVisit || result.lastVisit !== today) {
+          let newStreak = 1;
+          let streakStatus = "started"; // For new streaks
+          let frozenDays = [];
+
+          if (result.lastVisit) {
+            // Only days daily.dev counts break the streak when missed
+            const missedDays = getMissedReadingDays(
+              rules,
+              new Date(result.lastVisit),
+              getStreakDate(settings)
+            );
+
+            if (missedDays.length === 0) {
+              newStreak = result.streak + 1;
+              streakStatus = "continued";
+            } else if (
+              rules.freezes !== null &&
+              missedDays.length <= rules.freezes
+            ) {
+              // daily.dev spends a streak freeze on each missed day
+              newStreak = result.streak + 1;
+              streakStatus = "frozen";
+              frozenDays = missedDays;
+            } else {
+              // Missed a counted day with no freezes to cover it
+              streakStatus = "reset";
+            }
+          }
+
+          // Update storage with new streak information
+          chrome.storage.local.set(
+            {
+              streak: newStreak,
+              lastVisit: today,
+              streakMaintainedToday: true,
+              syncedWithDailyDev: false,
+            },
+            () => {
+              if (chrome.runtime.lastError) {
+                logError("Error updating storage:", chrome.runtime.lastError);
+                return;
+              }
+              logger.info(
+                `Streak ${streakStatus} and updated to ${newStreak} days (internal tracking)`
+              );
+
+              recordHistoryDay(
+                getDateKey(getStreakDate(settings)),
+                {
+                  maintained: true,
+                  time: Date.now(),
+                  streakCount: newStreak,
+                  syncedWithDailyDev: false,
+                  method: method,
+                },
+                () => {
+                  if (frozenDays.length > 0) {
+                    recordFrozenDays(rules, frozenDays);
+                  }
+                }
+              );
+
+              let message =
+                "You've maintained your streak for today! You won't receive any more reminders until tomorrow.";
+              if (streakStatus === "continued") {
+                message = `Great job! Your streak is now ${newStreak} days. You won't receive any more reminders today.`;
+              } else if (streakStatus === "frozen") {
+                message = `Your streak is now ${newStreak} days. ${
+                  frozenDays.length === 1
+                    ? "A streak freeze covered the day"
+                    : `${frozenDays.length} streak freezes covered the days`
+                } you missed.`;
+              }
+
+              // Show a notification that the streak has been maintained
+              chrome.notifications.create({
+                type: "basic",
+                iconUrl: "../images/icon128.png",
+                title: "Daily.dev Streak Maintained!",
+                message: message,
+                priority: 0,
+              });
+            }
+          );
+        } else {
+          logger.debug("Streak already updated today, no changes needed");
+        }
+      }
+    );
+  } catch (error) {
+    logError("Error updating streak:", error);
+  }
+}
+
+/**
+ * Spend streak freezes on missed days, as daily.dev does, and mark the days
+ * in the history
+ * @param {Object} rules - The streak rules
+ * @param {Date[]} days - The missed days the freezes cover
+ */
+function recordFrozenDays(rules, days) {
+  saveStreakRules({ ...rules, freezes: rules.freezes - days.length });
+
+  // One day at a time, since each write reads the history back first
+  const recordNext = (index) => {
+    if (index < days.length) {
+      recordHistoryDay(getDateKey(days[index]), { frozen: true }, () =>
+        recordNext(index + 1)
+      );
+    }
+  };
+  recordNext(0);
+}
+
+/**
+ * Get the timestamp for the next reminder with configurable time
+ * The time is read in the streak timezone from the settings.
+ * @param {number} hour - Hour for the reminder (24-hour format)
+ * @param {number} minute - Minute for the reminder
+ * @param {Object} settings - The settings object
+ * @returns {number} Timestamp for the next reminder
+ */
+function getNextReminderTime(hour = 23, minute = 0, settings = null) {
+  try {
+    return getNextZonedTime(hour, minute, settings);
+  } catch (error) {
+    logError("Error calculating reminder time:", error);
+    // Return a default time (24 hours from now) in case of error
+    return Date.now() + 24 * 60 * 60 * 1000;
+  }
+}
+
+/**
+ * Handle alarm events
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  try {
+    logger.info(
+      `Alarm triggered: ${alarm.name} at ${new Date().toLocaleTimeString()}`
+    );
+
+    // The badge alarm only refreshes the badge, e.g. at the day rollover
+    if (alarm.name === BADGE_ALARM) {
+      updateBadge();
+      return;
+    }
+
+    recordActivity("alarm", "info", `Alarm ${alarm.name} fired`, {
+      scheduledTime: alarm.scheduledTime,
+    });
+
+    // For other alarms, check if streak has been maintained before taking any action
+    chrome.storage.local.get(
+      ["lastVisit", SETTINGS_KEY, ALARM_RUNS_KEY, STREAK_RULES_KEY],
+      (result) => {
+        if (chrome.runtime.lastError) {
+          logError("Error accessing storage:", chrome.runtime.lastError);
+          return;
+        }
+
+        const settings = mergeSettings(result[SETTINGS_KEY]);
+        const today = getStreakDayString(settings);
+
+        // Nothing runs on a paused day, not even the sync
+        if (isPausedToday(settings)) {
+          logger.info(`Alarm ${alarm.name} skipped, the extension is paused`);
+          recordActivity(
+            "alarm",
+            "skipped",
+            `Alarm ${alarm.name} skipped, the extension is paused`
+          );
+          recordPausedDay(settings);
+          return;
+        }
+
+        // Handle force sync alarm separately - this should always run regardless of streak status
+        if (alarm.name === "forceStreakSync") {
+          enqueueStreakJob("sync");
+          return;
+        }
+
+        // Missing a day daily.dev doesn't count can't break the streak
+        const rules = mergeStreakRules(result[STREAK_RULES_KEY]);
+        if (!isReadingDay(rules, getStreakDate(settings))) {
+          logger.info(
+            `Alarm ${alarm.name} skipped, daily.dev doesn't count today`
+          );
+          recordActivity(
+            "alarm",
+            "skipped",
+            `Alarm ${alarm.name} skipped, daily.dev doesn't count today`
+          );
+          return;
+        }
+
+        // A snoozed reminder repeats the reminder that was snoozed
+        if (alarm.name === SNOOZE_ALARM) {
+          sendSnoozedReminder();
+          return;
+        }
+
+        // An alarm delivered late from an earlier day is no longer relevant
+        const alarmDay = getStreakDayString(
+          settings,
+          new Date(alarm.scheduledTime)
+        );
+        if (alarmDay !== today) {
+          logger.info(
+            `Alarm ${alarm.name} was scheduled for ${alarmDay}, ignoring it`
+          );
+          recordActivity(
+            "alarm",
+            "skipped",
+            `Alarm ${alarm.name} was scheduled for ${alarmDay}, ignoring it`
+          );
+          return;
+        }
+
+        // A reminder held back by quiet hours is sent once the window ends
+        if (alarm.name.startsWith(QUIET_DELAY_ALARM_PREFIX)) {
+          const delayedId = alarm.name.slice(QUIET_DELAY_ALARM_PREFIX.length);
+          const delayed = settings.reminders.find(
+            (entry) => entry.id === delayedId
+          );
+          if (delayed) {
+            checkStreakAndNotify(delayed);
+          }
+          return;
+        }
+
+        // Skip alarms a catch-up already handled
+        if (getAlarmRunsForDay(result[ALARM_RUNS_KEY], today)[alarm.name]) {
+          logger.info(`Alarm ${alarm.name} already handled today, skipping`);
+          recordActivity(
+            "alarm",
+            "skipped",
+            `Alarm ${alarm.name} already handled today`
+          );
+          return;
+        }
+        recordAlarmRuns([alarm.name], today);
+
+        // Only proceed if streak hasn't been maintained today
+        if (!result.lastVisit || result.lastVisit !== today) {
+          const reminder = getEnabledReminders(settings.reminders).find(
+            (entry) => entry.name === alarm.name
+          );
+
+          if (reminder) {
+            checkStreakAndNotify(reminder);
+          } else if (alarm.name.endsWith("Failsafe")) {
+            // Execute failsafe mechanism
+            enqueueStreakJob("failsafe");
+          } else {
+            logger.info(`Alarm ${alarm.name} has no reminder or failsafe`);
+          }
+        } else {
+          logger.info(
+            `Alarm ${alarm.name} triggered, but streak already maintained for today. No action needed.`
+          );
+          recordActivity(
+            "alarm",
+            "skipped",
+            `Alarm ${alarm.name} skipped, the streak is already maintained today`
+          );
+        }
+      }
+    );
+  } catch (error) {
+    logError(`Error handling alarm ${alarm.name}:`, error);
+  }
+});
+
+/**
+ * Check if user has visited today and send a reminder if not
+ * @param {Object} reminder - The reminder from the settings (id, urgency and message template)
+ */
+function checkStreakAndNotify(reminder) {
+  // Another device may have maintained the streak since the last reconcile
+  reconcileDeviceSync().then(() => {
+    try {
+      chrome.storage.local.get(
+        ["streak", "lastVisit", SETTINGS_KEY, REMINDER_RESPONSE_KEY],
+        (result) => {
+          if (chrome.runtime.lastError) {
+            logError("Error accessing storage:", chrome.runtime.lastError);
+            return;
           }
-          console.log("Failsafe: Opened daily.dev tab to maintain streak");
-
-          // Set up a listener to wait for the tab to fully load
-          const tabLoadListener = (tabId, changeInfo, _) => {
-            // Only proceed if this is our tab and it's fully loaded
-            if (tabId === tab.id && changeInfo.status === "complete") {
-              console.log(
-                "Failsafe: daily.dev page loaded, attempting to click on article"
+
+          const settings = mergeSettings(result[SETTINGS_KEY]);
+          const today = getStreakDayString(settings);
+
+          // The user left today to the failsafe, so stay quiet
+          const responses = getReminderResponsesForDay(
+            result[REMINDER_RESPONSE_KEY],
+            today
+          );
+          if (responses.some((response) => response.action === "deferred")) {
+            logger.debug(
+              "Reminders deferred to the failsafe today, not notifying"
+            );
+            return;
+          }
+
+          // Only send notification if streak hasn't been maintained today
+          if (!result.lastVisit || result.lastVisit !== today) {
+            const quiet = getQuietHoursDecision(settings);
+            if (quiet.action === "drop") {
+              logger.info(`Dropping reminder ${reminder.id}: ${quiet.reason}`);
+              recordActivity(
+                "reminder",
+                "skipped",
+                `Dropped reminder ${reminder.id}: ${quiet.reason}`
+              );
+              return;
+            }
+            if (quiet.action === "delay") {
+              logger.info(`Delaying reminder ${reminder.id}: ${quiet.reason}`);
+              recordActivity(
+                "reminder",
+                "skipped",
+                `Delayed reminder ${reminder.id}: ${quiet.reason}`,
+                { until: quiet.until }
+              );
+              chrome.alarms.create(
+                `${QUIET_DELAY_ALARM_PREFIX}${reminder.id}`,
+                {
+                  when: quiet.until,
+                }
               );
+              return;
+            }
+
+            const nextFailsafe = getNextFailsafe(settings);
+
+            // Format the time for display (e.g., "8:00 PM" or "10:15 PM")
+            const failsafeTimeString = nextFailsafe
+              ? formatTime(nextFailsafe.hour, nextFailsafe.minute)
+              : null;
+
+            const isUrgent = reminder.urgency === "urgent";
+            const urgency =
+              REMINDER_URGENCIES[reminder.urgency] || REMINDER_URGENCIES.normal;
+
+            // Determine notification title based on urgency
+            const title = isUrgent
+              ? "URGENT: Daily.dev Streak About to Expire!"
+              : "Daily.dev Streak Reminder";
+
+            const message = fillReminderTemplate(reminder.message, {
+              streak: result.streak || 0,
+              failsafeTime: failsafeTimeString || "none left today",
+              minutesLeft: Math.max(
+                0,
+                Math.ceil(
+                  (getStreakDayEnd(settings) - Date.now()) / (60 * 1000)
+                )
+              ),
+            });
+
+            // Clicking the notification opens daily.dev; Chrome allows two buttons
+            const buttons = [{ title: `Snooze ${SNOOZE_MINUTES} min` }];
+            if (failsafeTimeString) {
+              buttons.push({ title: "Let the failsafe handle it" });
+            }
+
+            // Show reminder notification
+            chrome.notifications.create(
+              `${REMINDER_NOTIFICATION_PREFIX}${reminder.id}-${Date.now()}`,
+              {
+                type: "basic",
+                iconUrl: "../images/icon128.png",
+                title: title,
+                message: `${message} Click to open daily.dev.`,
+                priority: urgency.priority,
+                buttons: buttons,
+              },
+              (notificationId) => {
+                if (chrome.runtime.lastError) {
+                  logError(
+                    "Error creating notification:",
+                    chrome.runtime.lastError
+                  );
+                  return;
+                }
+                logger.info(
+                  `Reminder ${reminder.id} (${reminder.urgency}) sent:`,
+                  notificationId
+                );
+                recordActivity(
+                  "reminder",
+                  "success",
+                  `Sent reminder ${reminder.id} (${reminder.urgency})`,
+                  { message: message }
+                );
+              }
+            );
+          } else {
+            logger.debug(
+              "Streak already maintained for today, no notification needed"
+            );
+          }
+        }
+      );
+    } catch (error) {
+      logError("Error checking streak and notifying:", error);
+    }
+  });
+}
+
+/**
+ * Decide whether a reminder may be sent now under the quiet hour rules
+ * Reminders are dropped on days without reminders. Inside a quiet window they
+ * wait until it ends, or are dropped if it ends after the streak day does.
+ * @param {Object} settings - The settings object
+ * @param {Date} [now=new Date()] - The moment to check
+ * @returns {{action: string, until: number|null, reason: string|null}} "send", "delay" (until a timestamp) or "drop"
+ */
+function getQuietHoursDecision(settings, now = new Date()) {
+  const quietHours = settings.quietHours;
+
+  const streakWeekday = getStreakDate(settings, now).getDay();
+  if (!quietHours.reminderDays.includes(streakWeekday)) {
+    return {
+      action: "drop",
+      until: null,
+      reason: `no reminders on ${WEEKDAY_NAMES[streakWeekday]}`,
+    };
+  }
 
-              // Remove this listener as we don't need it anymore
-              chrome.tabs.onUpdated.removeListener(tabLoadListener);
+  const zoned = getZonedTime(resolveTimeZone(settings), now);
+  const weekday = new Date(zoned.year, zoned.month - 1, zoned.day).getDay();
+  const minutesNow = zoned.hour * 60 + zoned.minute;
 
-              // Wait a moment for the page to render before trying to click
-              setTimeout(() => {
-                // The tab is loaded, now try to click on an article
-                clickArticleAndUpdateStreak(tab.id);
-              }, 1000);
-            }
-          };
+  const quietWindow = quietHours.windows.find((entry) =>
+    isInQuietWindow(entry, weekday, minutesNow)
+  );
+  if (!quietWindow) {
+    return { action: "send", until: null, reason: null };
+  }
+
+  const windowEnd = formatTime(quietWindow.endHour, quietWindow.endMinute);
+  const until = getNextZonedTime(
+    quietWindow.endHour,
+    quietWindow.endMinute,
+    settings,
+    now
+  );
+  if (until >= getStreakDayEnd(settings, now)) {
+    return {
+      action: "drop",
+      until: null,
+      reason: `quiet hours until ${windowEnd} last past the end of the streak day`,
+    };
+  }
+
+  return {
+    action: "delay",
+    until: until,
+    reason: `quiet hours until ${windowEnd}`,
+  };
+}
+
+/**
+ * Check whether a moment falls inside a quiet window
+ * A window crossing midnight belongs to the weekday it starts on.
+ * @param {Object} quietWindow - The quiet window from the settings
+ * @param {number} weekday - Calendar weekday of the moment (0 = Sunday)
+ * @param {number} minutesNow - Minutes since midnight of the moment
+ * @returns {boolean} Whether the moment is quiet
+ */
+function isInQuietWindow(quietWindow, weekday, minutesNow) {
+  const start = quietWindow.startHour * 60 + quietWindow.startMinute;
+  const end = quietWindow.endHour * 60 + quietWindow.endMinute;
+
+  if (start === end) {
+    return false;
+  }
+  if (start < end) {
+    return (
+      quietWindow.days.includes(weekday) &&
+      minutesNow >= start &&
+      minutesNow < end
+    );
+  }
+
+  // Crosses midnight: the late part is on the start day, the early part after it
+  if (minutesNow >= start) {
+    return quietWindow.days.includes(weekday);
+  }
+  return minutesNow < end && quietWindow.days.includes((weekday + 6) % 7);
+}
+
+/**
+ * Open daily.dev when a reminder notification is clicked
+ */
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX)) {
+    return;
+  }
+
+  try {
+    chrome.notifications.clear(notificationId);
+    chrome.tabs.create({ url: DAILY_DEV_URL }, () => {
+      if (chrome.runtime.lastError) {
+        logError("Error opening daily.dev:", chrome.runtime.lastError);
+        return;
+      }
+      recordReminderResponse({ action: "opened" });
+    });
+  } catch (error) {
+    logError("Error handling reminder click:", error);
+  }
+});
 
-          // Add the listener
-          chrome.tabs.onUpdated.addListener(tabLoadListener);
+/**
+ * Handle the snooze and defer buttons on reminder notifications
+ */
+chrome.notifications.onButtonClicked.addListener(
+  (notificationId, buttonIndex) => {
+    if (!notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX)) {
+      return;
+    }
 
-          // Set a timeout to remove the listener if something goes wrong
-          setTimeout(() => {
-            chrome.tabs.onUpdated.removeListener(tabLoadListener);
-          }, 30000); // 30 seconds timeout
+    try {
+      chrome.notifications.clear(notificationId);
+
+      if (buttonIndex === 0) {
+        const snoozedUntil = Date.now() + SNOOZE_MINUTES * 60 * 1000;
+        chrome.alarms.create(SNOOZE_ALARM, { when: snoozedUntil });
+        recordReminderResponse({
+          action: "snoozed",
+          until: snoozedUntil,
+          reminderId: notificationId.slice(
+            REMINDER_NOTIFICATION_PREFIX.length,
+            notificationId.lastIndexOf("-")
+          ),
         });
+        logger.info(
+          `Reminder snoozed until ${new Date(snoozedUntil).toLocaleTimeString()}`
+        );
       } else {
-        console.log("Failsafe check: Streak already maintained for today");
+        chrome.alarms.clear(SNOOZE_ALARM);
+        recordReminderResponse({ action: "deferred" });
+        logger.info("Reminders silenced for today, leaving it to the failsafe");
+      }
+    } catch (error) {
+      logError("Error handling reminder button:", error);
+    }
+  }
+);
+
+/**
+ * Send the reminder again once a snooze runs out
+ */
+function sendSnoozedReminder() {
+  chrome.storage.local.get([REMINDER_RESPONSE_KEY, SETTINGS_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      logError("Error accessing storage:", chrome.runtime.lastError);
+      return;
+    }
+
+    const settings = mergeSettings(result[SETTINGS_KEY]);
+    const snooze = getReminderResponsesForDay(
+      result[REMINDER_RESPONSE_KEY],
+      getStreakDayString(settings)
+    )
+      .filter((response) => response.action === "snoozed")
+      .pop();
+
+    if (!snooze) {
+      logger.info("Snooze belongs to an earlier day, not reminding");
+      return;
+    }
+
+    // Repeat the snoozed reminder, or the first one if it has been removed
+    const reminder =
+      settings.reminders.find((entry) => entry.id === snooze.reminderId) ||
+      settings.reminders[0] ||
+      DEFAULT_SETTINGS.reminders[0];
+    checkStreakAndNotify(reminder);
+  });
+}
+
+/**
+ * Get the reminder responses recorded for a day
+ * @param {Object} [stored] - The stored reminder responses
+ * @param {string} day - The streak day string
+ * @returns {Array<Object>} Responses recorded that day, oldest first
+ */
+function getReminderResponsesForDay(stored, day) {
+  return stored && stored.day === day ? stored.responses || [] : [];
+}
+
+/**
+ * Record how the user responded to a reminder so the popup can show it
+ * @param {Object} response - The response
+ * @param {string} response.action - "opened", "snoozed" or "deferred"
+ * @param {number} [response.until] - When a snooze runs out (ms since epoch)
+ * @param {string} [response.reminderId] - Which reminder was snoozed
+ */
+function recordReminderResponse(response) {
+  chrome.storage.local.get([REMINDER_RESPONSE_KEY, SETTINGS_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      logError("Error accessing storage:", chrome.runtime.lastError);
+      return;
+    }
+
+    const day = getStreakDayString(mergeSettings(result[SETTINGS_KEY]));
+    const responses = [
+      ...getReminderResponsesForDay(result[REMINDER_RESPONSE_KEY], day),
+      { ...response, time: Date.now() },
+    ];
+
+    chrome.storage.local.set(
+      { [REMINDER_RESPONSE_KEY]: { day: day, responses: responses } },
+      () => {
+        if (chrome.runtime.lastError) {
+          logError("Error saving reminder response:", chrome.runtime.lastError);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Find the next enabled failsafe that will run later today
+ * @param {Object} settings - The settings object
+ * @returns {{name: string, hour: number, minute: number}|null} The next failsafe, or null if none is left today
+ */
+function getNextFailsafe(settings) {
+  const minutesNow = getStreakMinutesNow(settings);
+
+  const failsafes = getEnabledScheduleEntries(settings.schedule, "Failsafe");
+  return (
+    failsafes.find((entry) => entry.hour * 60 + entry.minute >= minutesNow) ||
+    null
+  );
+}
+
+/**
+ * Failsafe function to automatically open daily.dev and maintain streak
+ * if user hasn't done so by the failsafe time
+ * Runs as a streak job; see enqueueStreakJob.
+ * @param {AbortSignal} [signal] - Aborted when the job is given up on
+ * @returns {Promise<{success: boolean, error?: string}>} Whether the failsafe kept the streak
+ */
+async function executeStreakFailsafe(signal) {
+  // Another device may have maintained the streak without the change reaching us yet
+  await reconcileDeviceSync();
+  checkStreakJobCancelled(signal);
+
+  const result = await callChrome((callback) =>
+    chrome.storage.local.get(["lastVisit", SETTINGS_KEY], callback)
+  );
+  const settings = mergeSettings(result[SETTINGS_KEY]);
+  const today = getStreakDayString(settings);
+
+  // Double-check that streak hasn't been maintained today, here or elsewhere
+  if (result.lastVisit === today) {
+    logger.info("Failsafe check: Streak already maintained for today");
+    recordActivity(
+      "failsafe",
+      "skipped",
+      "Failsafe skipped, the streak is already maintained today on this or another device"
+    );
+    return { success: true };
+  }
+  if (isPausedToday(settings)) {
+    logger.info("Failsafe check: The extension is paused today");
+    return { success: false, error: "Paused" };
+  }
+
+  logger.info("Executing streak failsafe mechanism");
+
+  // Open daily.dev the way the settings ask for
+  const tab = await new Promise((resolve) =>
+    openFailsafeTab(settings.failsafe.presentation, resolve)
+  );
+  if (!tab) {
+    return { success: false, error: "Could not open daily.dev" };
+  }
+  trackStreakJobTab(tab.id);
+  logger.info(
+    `Failsafe: Opened daily.dev (${settings.failsafe.presentation}) to maintain streak`
+  );
+
+  if (!(await new Promise((resolve) => waitForTabLoad(tab.id, resolve)))) {
+    return { success: false, error: "Timeout" };
+  }
+  logger.info(
+    "Failsafe: daily.dev page loaded, attempting to click on article"
+  );
+
+  // Wait a moment for the page to render before trying to click
+  await delay(1000);
+  checkStreakJobCancelled(signal);
+
+  return new Promise((resolve) =>
+    clickArticleAndUpdateStreak(tab.id, {
+      fromFailsafe: true,
+      onDone: resolve,
+      signal: signal,
+    })
+  );
+}
+
+/**
+ * Open daily.dev for the failsafe as a focused tab, a background tab or a
+ * minimized window, and start tracking whether the user uses it
+ * @param {string} presentation - "active", "background" or "minimized"
+ * @param {function(Object|null): void} callback - Receives the opened tab, or null if it couldn't be opened
+ */
+function openFailsafeTab(presentation, callback) {
+  if (presentation === "minimized") {
+    // A minimized window can't be focused, so it has to be opened unfocused
+    chrome.windows.create(
+      { url: DAILY_DEV_URL, state: "minimized", focused: false },
+      (createdWindow) => {
+        if (chrome.runtime.lastError) {
+          logError("Error creating window:", chrome.runtime.lastError);
+          callback(null);
+          return;
+        }
+
+        const tab = createdWindow.tabs[0];
+        failsafeTabs.set(tab.id, {
+          windowId: createdWindow.id,
+          presentation: presentation,
+          interacted: false,
+        });
+        callback(tab);
+      }
+    );
+    return;
+  }
+
+  chrome.tabs.create(
+    { url: DAILY_DEV_URL, active: presentation === "active" },
+    (tab) => {
+      if (chrome.runtime.lastError) {
+        logError("Error creating tab:", chrome.runtime.lastError);
+        callback(null);
+        return;
+      }
+
+      failsafeTabs.set(tab.id, {
+        windowId: null,
+        presentation: presentation,
+        interacted: false,
+      });
+      callback(tab);
+    }
+  );
+}
+
+/**
+ * Close the failsafe's tab (or its minimized window) after a confirmed read,
+ * unless closing is turned off or the user has used the tab
+ * @param {number} tabId - The ID of the failsafe's tab
+ */
+function closeFailsafeTabIfUnused(tabId) {
+  const failsafeTab = failsafeTabs.get(tabId);
+  failsafeTabs.delete(tabId);
+  if (!failsafeTab) {
+    return;
+  }
+
+  loadSettings((settings) => {
+    if (!settings.failsafe.closeWhenDone) {
+      return;
+    }
+    if (failsafeTab.interacted) {
+      logger.info("The failsafe tab was used, leaving it open");
+      return;
+    }
+
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError) {
+        logger.debug("The failsafe tab is already closed");
+        return;
+      }
+
+      // Browsing away from daily.dev means the tab is the user's now
+      if (!tab.url || !tab.url.includes("daily.dev")) {
+        logger.info("The failsafe tab left daily.dev, leaving it open");
+        return;
+      }
+
+      if (failsafeTab.windowId === null) {
+        removeFailsafeTab(tabId);
+        return;
       }
+
+      // Only close the whole window if nothing else was moved into it
+      chrome.tabs.query({ windowId: failsafeTab.windowId }, (tabs) => {
+        if (chrome.runtime.lastError || tabs.length > 1) {
+          removeFailsafeTab(tabId);
+          return;
+        }
+
+        chrome.windows.remove(failsafeTab.windowId, () => {
+          if (chrome.runtime.lastError) {
+            logError(
+              "Error closing failsafe window:",
+              chrome.runtime.lastError
+            );
+            return;
+          }
+          logger.info("Closed failsafe window after confirmed read");
+        });
+      });
     });
-  } catch (error) {
-    console.error("Error executing streak failsafe:", error);
+  });
+}
+
+/**
+ * Close the failsafe's tab
+ * @param {number} tabId - The ID of the failsafe's tab
+ */
+function removeFailsafeTab(tabId) {
+  chrome.tabs.remove(tabId, () => {
+    if (chrome.runtime.lastError) {
+      logError("Error closing failsafe tab:", chrome.runtime.lastError);
+      return;
+    }
+    logger.info("Closed failsafe tab after confirmed read");
+  });
+}
+
+/**
+ * Note when the user switches to a failsafe tab opened in the background
+ */
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  const failsafeTab = failsafeTabs.get(activeInfo.tabId);
+  // A focused tab is active from the start, so switching to it says nothing
+  if (failsafeTab && failsafeTab.presentation !== "active") {
+    logger.info("Failsafe tab was opened by the user");
+    failsafeTab.interacted = true;
+  }
+});
+
+/**
+ * Note when the user brings up the failsafe's minimized window
+ */
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  for (const failsafeTab of failsafeTabs.values()) {
+    if (failsafeTab.windowId !== null && failsafeTab.windowId === windowId) {
+      logger.info("Failsafe window was opened by the user");
+      failsafeTab.interacted = true;
+    }
+  }
+});
+
+/**
+ * Stop tracking failsafe tabs once they're closed
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+  failsafeTabs.delete(tabId);
+});
+
+/**
+ * Push local changes to the user's other devices, and pull in theirs
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync") {
+    // Includes this device's own pushes, which reconcile to no change
+    reconcileDeviceSync();
+    return;
+  }
+
+  if (areaName !== "local") {
+    return;
+  }
+
+  if (changes[SETTINGS_KEY]) {
+    const shared = getSharedSettings(changes[SETTINGS_KEY].newValue);
+    if (
+      !isSameStoredValue(
+        shared,
+        getSharedSettings(changes[SETTINGS_KEY].oldValue)
+      ) &&
+      !isSameStoredValue(shared, lastSyncedSettings)
+    ) {
+      chrome.storage.local.set({
+        [DEVICE_SYNC_SETTINGS_PENDING_KEY]: Date.now(),
+      });
+    }
+  }
+
+  if (
+    changes[SETTINGS_KEY] ||
+    changes[HISTORY_KEY] ||
+    changes[BACKUP_REPLACED_AT_KEY] ||
+    changes.streak ||
+    changes.lastVisit
+  ) {
+    clearTimeout(deviceSyncTimer);
+    deviceSyncTimer = setTimeout(
+      () => reconcileDeviceSync(),
+      DEVICE_SYNC_PUSH_DELAY_MS
+    );
+  }
+});
+
+/**
+ * Bring the local state and the copy in chrome.storage.sync in line
+ * Reconciles run one at a time and never reject.
+ * @returns {Promise<void>} Settles once both sides match (or the reconcile failed)
+ */
+function reconcileDeviceSync() {
+  clearTimeout(deviceSyncTimer);
+  deviceSyncTimer = null;
+
+  deviceSyncRun = deviceSyncRun
+    .then(runDeviceSync)
+    .catch((error) => logError("Error syncing with other devices:", error));
+  return deviceSyncRun;
+}
+
+/**
+ * Merge the local state with the copy other devices see, and write back
+ * whatever changed on either side
+ * The streak and the history merge both ways, so a day maintained on one
+ * device counts on all of them. Settings can't be merged field by field: edits
+ * made on this device that weren't pushed yet win, otherwise the synced
+ * settings do. Device-only settings stay as they are on each device.
+ * After a backup replaced the data on one device, nothing is merged: that
+ * device's data overwrites the synced copy, and the others take it as it is.
+ */
+async function runDeviceSync() {
+  const local = await callChrome((callback) =>
+    chrome.storage.local.get(
+      [
+        "streak",
+        "lastVisit",
+        HISTORY_KEY,
+        SETTINGS_KEY,
+        DEVICE_SYNC_SETTINGS_PENDING_KEY,
+        BACKUP_REPLACED_AT_KEY,
+      ],
+      callback
+    )
+  );
+  const synced = await callChrome((callback) =>
+    chrome.storage.sync.get(null, callback)
+  );
+
+  const localUpdates = {};
+  const syncUpdates = {};
+  const syncRemovals = [];
+
+  // A backup replaced the data on this device since the last push, or on
+  // another device since this one last took the synced data
+  const localReplacedAt = local[BACKUP_REPLACED_AT_KEY] || 0;
+  const syncedReplacedAt = synced[DEVICE_SYNC_REPLACED_AT_KEY] || 0;
+  const pushReplacement = localReplacedAt > syncedReplacedAt;
+  const pullReplacement = syncedReplacedAt > localReplacedAt;
+  if (pushReplacement) {
+    syncUpdates[DEVICE_SYNC_REPLACED_AT_KEY] = localReplacedAt;
+    logger.info("Replacing the synced data with the imported backup");
+  } else if (pullReplacement) {
+    localUpdates[BACKUP_REPLACED_AT_KEY] = syncedReplacedAt;
+    logger.info("Taking the data a backup replaced on another device");
+    recordActivity(
+      "sync",
+      "info",
+      "A backup replaced the data on another device, took it over"
+    );
+  }
+
+  // Streak: the later streak day wins
+  const localStreak = {
+    streak: local.streak || 0,
+    lastVisit: local.lastVisit || null,
+  };
+  let streak = mergeStreakStates(localStreak, synced[DEVICE_SYNC_STREAK_KEY]);
+  if (pushReplacement) {
+    streak = localStreak;
+  } else if (pullReplacement && synced[DEVICE_SYNC_STREAK_KEY]) {
+    streak = synced[DEVICE_SYNC_STREAK_KEY];
+  }
+  if (
+    streak.streak !== localStreak.streak ||
+    streak.lastVisit !== localStreak.lastVisit
+  ) {
+    localUpdates.streak = streak.streak;
+    localUpdates.lastVisit = streak.lastVisit;
+    logger.info("Streak updated from another device:", streak);
+    recordActivity(
+      "sync",
+      "info",
+      `Another device maintained the streak: ${streak.streak} days, last read ${streak.lastVisit}`
+    );
   }
+  if (!isSameStoredValue(streak, synced[DEVICE_SYNC_STREAK_KEY])) {
+    syncUpdates[DEVICE_SYNC_STREAK_KEY] = streak;
+  }
+
+  // History: merged day by day, but only recent days are mirrored
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - DEVICE_SYNC_HISTORY_DAYS);
+  const cutoffKey = getDateKey(cutoff);
+  const syncedHistory = {};
+  for (const [key, value] of Object.entries(synced)) {
+    if (key.startsWith(DEVICE_SYNC_HISTORY_PREFIX)) {
+      Object.assign(syncedHistory, value);
+    }
+  }
+  const localHistory = local[HISTORY_KEY] || {};
+  let history = mergeHistories(localHistory, syncedHistory);
+  if (pushReplacement) {
+    history = localHistory;
+  } else if (pullReplacement) {
+    // Days older than the mirrored ones aren't in the synced copy
+    history = Object.fromEntries(
+      Object.entries(localHistory).filter(([key]) => key < cutoffKey)
+    );
+    Object.assign(history, syncedHistory);
+  }
+  if (!isSameStoredValue(history, localHistory)) {
+    localUpdates[HISTORY_KEY] = history;
+  }
+
+  const months = {};
+  for (const [key, entry] of Object.entries(history)) {
+    if (key >= cutoffKey) {
+      const itemKey = `${DEVICE_SYNC_HISTORY_PREFIX}${key.slice(0, 7)}`;
+      months[itemKey] = { ...(months[itemKey] || {}), [key]: entry };
+    }
+  }
+  for (const [itemKey, days] of Object.entries(months)) {
+    if (!isSameStoredValue(days, synced[itemKey])) {
+      syncUpdates[itemKey] = days;
+    }
+  }
+  for (const key of Object.keys(synced)) {
+    if (key.startsWith(DEVICE_SYNC_HISTORY_PREFIX) && !months[key]) {
+      syncRemovals.push(key);
+    }
+  }
+
+  // Settings: edits made here win, otherwise the synced ones do
+  const localSettings = getSharedSettings(local[SETTINGS_KEY]);
+  const syncedSettings = getSharedSettings(synced[DEVICE_SYNC_SETTINGS_KEY]);
+  const pendingSince = local[DEVICE_SYNC_SETTINGS_PENDING_KEY];
+  if (
+    syncedSettings &&
+    (pullReplacement || (!pendingSince && !pushReplacement))
+  ) {
+    if (!isSameStoredValue(syncedSettings, localSettings)) {
+      localUpdates[SETTINGS_KEY] = withDeviceSettings(
+        syncedSettings,
+        local[SETTINGS_KEY]
+      );
+      lastSyncedSettings = syncedSettings;
+      logger.info("Settings updated from another device");
+    }
+  } else if (
+    localSettings &&
+    !isSameStoredValue(localSettings, syncedSettings)
+  ) {
+    syncUpdates[DEVICE_SYNC_SETTINGS_KEY] = localSettings;
+  }
+
+  if (Object.keys(localUpdates).length > 0) {
+    await callChrome((callback) =>
+      chrome.storage.local.set(localUpdates, callback)
+    );
+  }
+  if (Object.keys(syncUpdates).length > 0) {
+    await callChrome((callback) =>
+      chrome.storage.sync.set(syncUpdates, callback)
+    );
+  }
+  if (syncRemovals.length > 0) {
+    await callChrome((callback) =>
+      chrome.storage.sync.remove(syncRemovals, callback)
+    );
+  }
+
+  // The edit is pushed; keep the flag if the settings were edited again since
+  if (pendingSince) {
+    const current = await callChrome((callback) =>
+      chrome.storage.local.get([DEVICE_SYNC_SETTINGS_PENDING_KEY], callback)
+    );
+    if (current[DEVICE_SYNC_SETTINGS_PENDING_KEY] === pendingSince) {
+      await callChrome((callback) =>
+        chrome.storage.local.remove(DEVICE_SYNC_SETTINGS_PENDING_KEY, callback)
+      );
+    }
+  }
+
+  logger.debug(
+    `Device sync: ${Object.keys(localUpdates).length} local and ${
+      Object.keys(syncUpdates).length + syncRemovals.length
+    } synced items changed`
+  );
+}
+
+/**
+ * Strip the device-only settings from a settings object
+ * @param {Object|undefined} settings - Settings as stored
+ * @returns {Object|undefined} A copy without the device-only settings, or undefined if there were no settings
+ */
+function getSharedSettings(settings) {
+  if (!settings) {
+    return undefined;
+  }
+
+  const shared = JSON.parse(JSON.stringify(settings));
+  for (const path of DEVICE_SYNC_LOCAL_SETTINGS) {
+    const parent = path
+      .slice(0, -1)
+      .reduce((value, key) => (value ? value[key] : undefined), shared);
+    if (parent) {
+      delete parent[path[path.length - 1]];
+    }
+  }
+  return shared;
+}
+
+/**
+ * Combine settings from another device with this device's own device-only settings
+ * @param {Object} shared - Settings without the device-only ones
+ * @param {Object|undefined} local - This device's stored settings, if any
+ * @returns {Object} The settings to store on this device
+ */
+function withDeviceSettings(shared, local) {
+  const settings = JSON.parse(JSON.stringify(shared));
+  for (const path of DEVICE_SYNC_LOCAL_SETTINGS) {
+    const value = path.reduce(
+      (current, key) => (current ? current[key] : undefined),
+      local
+    );
+    if (value === undefined) {
+      continue;
+    }
+
+    let parent = settings;
+    for (const key of path.slice(0, -1)) {
+      parent[key] = parent[key] || {};
+      parent = parent[key];
+    }
+    parent[path[path.length - 1]] = value;
+  }
+  return settings;
+}
+
+/**
+ * Merge the streak state of two devices
+ * The later streak day wins; on the same day the higher count does, so the
+ * result doesn't depend on the order.
+ * @param {{streak: number, lastVisit: string|null}} a - One device's streak
+ * @param {{streak: number, lastVisit: string|null}} [b] - The other's, if any
+ * @returns {{streak: number, lastVisit: string|null}} The merged streak
+ */
+function mergeStreakStates(a, b) {
+  if (!b) {
+    return a;
+  }
+
+  const dayA = parseStreakDayString(a.lastVisit);
+  const dayB = parseStreakDayString(b.lastVisit);
+  const timeA = dayA ? dayA.getTime() : 0;
+  const timeB = dayB ? dayB.getTime() : 0;
+  if (timeA !== timeB) {
+    const later = timeA > timeB ? a : b;
+    return { streak: later.streak || 0, lastVisit: later.lastVisit || null };
+  }
+  return {
+    streak: Math.max(a.streak || 0, b.streak || 0),
+    lastVisit: a.lastVisit || null,
+  };
+}
+
+/**
+ * Compare two stored values, ignoring the order of object keys
+ * @param {*} a - One value
+ * @param {*} b - The other value
+ * @returns {boolean} Whether they hold the same data
+ */
+function isSameStoredValue(a, b) {
+  const canonical = (value) =>
+    JSON.stringify(value, (key, nested) =>
+      nested && typeof nested === "object" && !Array.isArray(nested)
+        ? Object.fromEntries(
+            Object.keys(nested)
+              .sort()
+              .map((name) => [name, nested[name]])
+          )
+        : nested
+    );
+  return canonical(a) === canonical(b);
 }
@@ -0,0 +1,568 @@
+/**
+ * Daily.dev Streak Keeper - Backup
+ *
+ * Shared helpers for backing up and restoring the extension's data:
+ * - Builds a versioned JSON backup of the streak, history, settings, streak
+ *   rules, selector profile and activity log
+ * - Validates a backup before it is imported, down to the shape of each setting
+ * - Works out what an import would change, merged with or replacing the
+ *   stored data, and applies it
+ * - Turns the per-day history into CSV for spreadsheets
+ * Needs settings.js, dates.js, history.js, selectors.js, rules.js and
+ * activity.js.
+ */
+
+"use strict";
+
+// Identifies a backup file, and the newest backup version this code reads
+const BACKUP_FORMAT = "daily-dev-streak-keeper-backup";
+const BACKUP_VERSION = 1;
+
+// Storage keys of the streak state, kept together in a backup
+const BACKUP_STREAK_KEYS = [
+  "streak",
+  "lastVisit",
+  "syncedWithDailyDev",
+  "lastSyncTime",
+];
+
+// The other parts of a backup, with the storage key each is stored under
+const BACKUP_SECTIONS = {
+  history: { key: HISTORY_KEY, label: "Reading history" },
+  settings: { key: SETTINGS_KEY, label: "Settings" },
+  streakRules: { key: STREAK_RULES_KEY, label: "daily.dev streak rules" },
+  selectorProfile: { key: SELECTOR_PROFILE_KEY, label: "Selector profile" },
+  activityLog: { key: ACTIVITY_LOG_KEY, label: "Activity log" },
+};
+
+// Columns of the history CSV, in order
+const HISTORY_CSV_COLUMNS = [
+  "date",
+  "maintained",
+  "paused",
+  "frozen",
+  "time",
+  "streakCount",
+  "syncedWithDailyDev",
+  "method",
+];
+
+// Storage key holding when a backup last replaced the stored data; device sync
+// pushes the replaced data to the user's other devices instead of merging it
+const BACKUP_REPLACED_AT_KEY = "backupReplacedAt";
+
+// History keys ("YYYY-MM-DD")
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read everything a backup covers from storage
+ * @param {function(Object|null): void} callback - Receives the stored values by storage key, or null on error
+ */
+function loadBackupData(callback) {
+  const keys = [
+    ...BACKUP_STREAK_KEYS,
+    ...Object.values(BACKUP_SECTIONS).map((section) => section.key),
+  ];
+  chrome.storage.local.get(keys, (result) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading backup data:", chrome.runtime.lastError);
+      callback(null);
+      return;
+    }
+
+    callback(result);
+  });
+}
+
+/**
+ * Build a backup from the stored values
+ * @param {Object} stored - Stored values by storage key (see loadBackupData)
+ * @returns {Object} The backup, ready to be saved as JSON
+ */
+function createBackup(stored) {
+  const streak = {};
+  for (const key of BACKUP_STREAK_KEYS) {
+    streak[key] = stored[key] !== undefined ? stored[key] : null;
+  }
+  streak.streak = stored.streak || 0;
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    streak: streak,
+    history: stored[HISTORY_KEY] || {},
+    settings: mergeSettings(stored[SETTINGS_KEY]),
+    streakRules: mergeStreakRules(stored[STREAK_RULES_KEY]),
+    selectorProfile: stored[SELECTOR_PROFILE_KEY] || null,
+    activityLog: stored[ACTIVITY_LOG_KEY] || [],
+  };
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether it is an object and not an array or null
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Name the kind of a settings value, telling lists and null apart from objects
+ * @param {*} value - The value
+ * @returns {string} "list", "object", "null" or the value's typeof
+ */
+function getSettingKind(value) {
+  if (Array.isArray(value)) {
+    return "list";
+  }
+  if (value === null) {
+    return "null";
+  }
+  return typeof value;
+}
+
+/**
+ * Validate the settings of a backup
+ * Settings missing from the backup fall back to their defaults, but any that
+ * are there must have the shape the extension works with, since the background
+ * script relies on it on every alarm.
+ * @param {Object} settings - The backup's settings
+ * @returns {string[]} Problems found (empty if the settings can be imported)
+ */
+function validateBackupSettings(settings) {
+  const kindNames = {
+    list: "a list",
+    object: "an object",
+    number: "a number",
+    string: "text",
+    boolean: "true or false",
+  };
+
+  // Each setting, and each field of a settings group, has its default's kind
+  const errors = [];
+  for (const [key, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    const value = settings[key];
+    const kind = getSettingKind(defaults);
+    if (value === undefined) {
+      continue;
+    }
+    if (getSettingKind(value) !== kind) {
+      errors.push(`"settings.${key}" must be ${kindNames[kind]}`);
+      continue;
+    }
+    if (kind !== "object" || key === "schedule") {
+      continue;
+    }
+
+    for (const [field, fieldDefault] of Object.entries(defaults)) {
+      const fieldKind = getSettingKind(fieldDefault);
+      if (
+        value[field] !== undefined &&
+        getSettingKind(value[field]) !== fieldKind
+      ) {
+        errors.push(
+          `"settings.${key}.${field}" must be ${kindNames[fieldKind]}`
+        );
+      }
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Then the schedule entries and what the lists hold
+  const isTime = (hour, minute) =>
+    Number.isInteger(hour) &&
+    hour >= 0 &&
+    hour <= 23 &&
+    Number.isInteger(minute) &&
+    minute >= 0 &&
+    minute <= 59;
+  const isWeekdayList = (days) =>
+    Array.isArray(days) &&
+    days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+
+  const preferences = settings.articlePreferences || {};
+  for (const field of Object.keys(DEFAULT_SETTINGS.articlePreferences)) {
+    if (
+      preferences[field] !== undefined &&
+      !preferences[field].every((word) => typeof word === "string")
+    ) {
+      errors.push(`"settings.articlePreferences.${field}" must list words`);
+    }
+  }
+
+  const schedule = settings.schedule || {};
+  for (const name of Object.keys(DEFAULT_SETTINGS.schedule)) {
+    const entry = schedule[name];
+    if (
+      entry !== undefined &&
+      (!isPlainObject(entry) ||
+        (entry.enabled !== undefined && typeof entry.enabled !== "boolean") ||
+        !isTime(
+          entry.hour === undefined ? 0 : entry.hour,
+          entry.minute === undefined ? 0 : entry.minute
+        ))
+    ) {
+      errors.push(
+        `"settings.schedule.${name}" must be an enabled flag and a time`
+      );
+    }
+  }
+
+  const pause = settings.pause || {};
+  if (
+    pause.ranges !== undefined &&
+    !pause.ranges.every(
+      (range) =>
+        isPlainObject(range) &&
+        DATE_KEY_PATTERN.test(range.start) &&
+        DATE_KEY_PATTERN.test(range.end) &&
+        range.start <= range.end
+    )
+  ) {
+    errors.push(
+      '"settings.pause.ranges" must list ranges of days ({ start, end } as "YYYY-MM-DD")'
+    );
+  }
+
+  const quietHours = settings.quietHours || {};
+  if (
+    quietHours.reminderDays !== undefined &&
+    !isWeekdayList(quietHours.reminderDays)
+  ) {
+    errors.push('"settings.quietHours.reminderDays" must list weekdays (0-6)');
+  }
+  if (
+    quietHours.windows !== undefined &&
+    !quietHours.windows.every(
+      (quietWindow) =>
+        isPlainObject(quietWindow) &&
+        isWeekdayList(quietWindow.days) &&
+        isTime(quietWindow.startHour, quietWindow.startMinute) &&
+        isTime(quietWindow.endHour, quietWindow.endMinute)
+    )
+  ) {
+    errors.push(
+      '"settings.quietHours.windows" must list windows with weekdays and start and end times'
+    );
+  }
+
+  if (
+    settings.reminders !== undefined &&
+    !settings.reminders.every(
+      (reminder) =>
+        isPlainObject(reminder) &&
+        (reminder.id === undefined || typeof reminder.id === "string") &&
+        (reminder.enabled === undefined ||
+          typeof reminder.enabled === "boolean") &&
+        isTime(
+          reminder.hour === undefined ? 19 : reminder.hour,
+          reminder.minute === undefined ? 0 : reminder.minute
+        ) &&
+        (reminder.urgency === undefined ||
+          reminder.urgency in REMINDER_URGENCIES) &&
+        (reminder.message === undefined || typeof reminder.message === "string")
+    )
+  ) {
+    errors.push(
+      '"settings.reminders" must list reminders with a time, urgency and message'
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a backup read from a file
+ * @param {*} backup - The parsed file
+ * @returns {string[]} Problems found (empty if the backup can be imported)
+ */
+function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ["This isn't a Streak Keeper backup"];
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return ["The backup has no valid version"];
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return [
+      `The backup was made by a newer version of the extension (backup version ${backup.version})`,
+    ];
+  }
+
+  const errors = [];
+
+  const streak = backup.streak;
+  if (!isPlainObject(streak)) {
+    errors.push('"streak" must be an object');
+  } else {
+    if (!Number.isInteger(streak.streak) || streak.streak < 0) {
+      errors.push('"streak.streak" must be a whole number of days');
+    }
+    if (
+      streak.lastVisit !== null &&
+      parseStreakDayString(streak.lastVisit) === null
+    ) {
+      errors.push(
+        '"streak.lastVisit" must be a day (e.g., "Mon Oct 19 2026") or null'
+      );
+    }
+  }
+
+  if (!isPlainObject(backup.history)) {
+    errors.push('"history" must be an object keyed by date');
+  } else {
+    const badDays = Object.keys(backup.history).filter(
+      (key) =>
+        !DATE_KEY_PATTERN.test(key) || !isPlainObject(backup.history[key])
+    );
+    if (badDays.length > 0) {
+      errors.push(
+        `"history" has invalid days: ${badDays.slice(0, 3).join(", ")}`
+      );
+    }
+  }
+
+  if (!isPlainObject(backup.settings)) {
+    errors.push('"settings" must be an object');
+  } else {
+    errors.push(...validateBackupSettings(backup.settings));
+  }
+
+  if (!isPlainObject(backup.streakRules)) {
+    errors.push('"streakRules" must be an object');
+  } else if (
+    backup.streakRules.readingDays !== undefined &&
+    (!Array.isArray(backup.streakRules.readingDays) ||
+      !backup.streakRules.readingDays.every(
+        (day) => Number.isInteger(day) && day >= 0 && day <= 6
+      ))
+  ) {
+    errors.push('"streakRules.readingDays" must be a list of weekdays (0-6)');
+  }
+
+  if (backup.selectorProfile !== null) {
+    for (const error of validateSelectorProfile(backup.selectorProfile)) {
+      errors.push(`Selector profile: ${error}`);
+    }
+  }
+
+  if (
+    !Array.isArray(backup.activityLog) ||
+    !backup.activityLog.every(
+      (entry) => isPlainObject(entry) && typeof entry.time === "number"
+    )
+  ) {
+    errors.push('"activityLog" must be a list of entries');
+  }
+
+  return errors;
+}
+
+/**
+ * Work out what importing a backup would store
+ * Replacing stores the backup as it is, and notes when, so device sync doesn't
+ * merge the replaced data back in. Merging keeps what is already stored
+ * and adds what is missing: history days and log entries are combined (stored
+ * days win), the streak and streak rules come from whichever is newer, and
+ * settings and the selector profile come from the backup only if none are stored.
+ * @param {Object} backup - A valid backup
+ * @param {Object} stored - Stored values by storage key (see loadBackupData)
+ * @param {string} mode - "merge" or "replace"
+ * @returns {{values: Object, removals: string[], changes: Array<{label: string, summary: string}>}} What to store and remove, and a description of each change
+ */
+function planBackupImport(backup, stored, mode) {
+  const values = {};
+  const removals = [];
+  const changes = [];
+  const replace = mode === "replace";
+
+  if (replace) {
+    values[BACKUP_REPLACED_AT_KEY] = Date.now();
+  }
+
+  // Streak
+  const dayTime = (dayString) => {
+    const date = parseStreakDayString(dayString);
+    return date ? date.getTime() : 0;
+  };
+  const useBackupStreak =
+    replace || dayTime(backup.streak.lastVisit) > dayTime(stored.lastVisit);
+  const describeStreak = (count, lastVisit) =>
+    `${countOf(count || 0, "day")}${
+      lastVisit ? ` (last read ${lastVisit})` : ""
+    }`;
+  if (useBackupStreak) {
+    for (const key of BACKUP_STREAK_KEYS) {
+      values[key] = backup.streak[key];
+    }
+  }
+  changes.push({
+    label: "Streak",
+    summary: useBackupStreak
+      ? `${describeStreak(stored.streak, stored.lastVisit)} becomes ${describeStreak(
+          backup.streak.streak,
+          backup.streak.lastVisit
+        )}`
+      : `Kept at ${describeStreak(stored.streak, stored.lastVisit)}`,
+  });
+
+  // History
+  const storedHistory = stored[HISTORY_KEY] || {};
+  const storedDays = Object.keys(storedHistory).length;
+  const backupDays = Object.keys(backup.history).length;
+  if (replace) {
+    values[HISTORY_KEY] = pruneHistory(backup.history);
+    changes.push({
+      label: BACKUP_SECTIONS.history.label,
+      summary: `${countOf(storedDays, "day")} replaced by ${backupDays}`,
+    });
+  } else {
+    const added = Object.keys(backup.history).filter(
+      (key) => !storedHistory[key]
+    );
+    values[HISTORY_KEY] = pruneHistory({ ...backup.history, ...storedHistory });
+    changes.push({
+      label: BACKUP_SECTIONS.history.label,
+      summary: `${countOf(added.length, "day")} added, ${
+        backupDays - added.length
+      } already stored`,
+    });
+  }
+
+  // Settings and selector profile: single values without a date to compare
+  for (const name of ["settings", "selectorProfile"]) {
+    const section = BACKUP_SECTIONS[name];
+    const hasStored = Boolean(stored[section.key]);
+    const useBackup = replace || !hasStored;
+    if (!useBackup) {
+      changes.push({ label: section.label, summary: "Kept as stored" });
+    } else if (backup[name] === null) {
+      removals.push(section.key);
+      changes.push({
+        label: section.label,
+        summary: hasStored ? "Reset to the built-in one" : "Unchanged",
+      });
+    } else {
+      values[section.key] =
+        name === "settings" ? mergeSettings(backup.settings) : backup[name];
+      changes.push({
+        label: section.label,
+        summary: hasStored ? "Replaced by the backup" : "Taken from the backup",
+      });
+    }
+  }
+
+  // Streak rules
+  const storedRules = mergeStreakRules(stored[STREAK_RULES_KEY]);
+  const backupRules = mergeStreakRules(backup.streakRules);
+  const useBackupRules =
+    replace || (backupRules.syncedAt || 0) > (storedRules.syncedAt || 0);
+  if (useBackupRules) {
+    values[STREAK_RULES_KEY] = backupRules;
+  }
+  changes.push({
+    label: BACKUP_SECTIONS.streakRules.label,
+    summary: useBackupRules
+      ? `Counts ${describeReadingDays(backupRules)}`
+      : "Kept as stored",
+  });
+
+  // Activity log
+  const storedLog = stored[ACTIVITY_LOG_KEY] || [];
+  if (replace) {
+    values[ACTIVITY_LOG_KEY] = backup.activityLog.slice(
+      -ACTIVITY_LOG_MAX_ENTRIES
+    );
+    changes.push({
+      label: BACKUP_SECTIONS.activityLog.label,
+      summary: `${countOf(storedLog.length, "entry", "entries")} replaced by ${
+        values[ACTIVITY_LOG_KEY].length
+      }`,
+    });
+  } else {
+    const seen = new Set(
+      storedLog.map((entry) => `${entry.time}|${entry.message}`)
+    );
+    const added = backup.activityLog.filter(
+      (entry) => !seen.has(`${entry.time}|${entry.message}`)
+    );
+    values[ACTIVITY_LOG_KEY] = [...storedLog, ...added]
+      .sort((a, b) => a.time - b.time)
+      .slice(-ACTIVITY_LOG_MAX_ENTRIES);
+    changes.push({
+      label: BACKUP_SECTIONS.activityLog.label,
+      summary: `${countOf(added.length, "entry", "entries")} added`,
+    });
+  }
+
+  return { values: values, removals: removals, changes: changes };
+}
+
+/**
+ * Write a count with its noun, e.g. "1 day" or "3 days"
+ * @param {number} count - The count
+ * @param {string} singular - The noun for one
+ * @param {string} [plural] - The noun for any other count (singular + "s" if not given)
+ * @returns {string} The count and noun
+ */
+function countOf(count, singular, plural = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Store what an import plan says
+ * @param {Object} plan - The plan from planBackupImport
+ * @param {function(boolean): void} [callback] - Receives whether the import succeeded
+ */
+function applyBackupImport(plan, callback) {
+  chrome.storage.local.set(plan.values, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error importing backup:", chrome.runtime.lastError);
+      if (callback) callback(false);
+      return;
+    }
+
+    chrome.storage.local.remove(plan.removals, () => {
+      if (chrome.runtime.lastError) {
+        console.error(
+          "Error removing data replaced by the backup:",
+          chrome.runtime.lastError
+        );
+        if (callback) callback(false);
+        return;
+      }
+
+      if (callback) callback(true);
+    });
+  });
+}
+
+/**
+ * Turn the per-day history into CSV, one row per day, oldest first
+ * @param {Object} history - History entries keyed by date
+ * @returns {string} The CSV text, with a header row
+ */
+function historyToCsv(history) {
+  const rows = Object.keys(history)
+    .sort()
+    .map((key) => {
+      const entry = history[key];
+      return [
+        key,
+        Boolean(entry.maintained),
+        Boolean(entry.paused),
+        Boolean(entry.frozen),
+        entry.time ? new Date(entry.time).toISOString() : "",
+        typeof entry.streakCount === "number" ? entry.streakCount : "",
+        Boolean(entry.syncedWithDailyDev),
+        entry.method || "",
+      ].join(",");
+    });
+
+  return [HISTORY_CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
@@ -0,0 +1,223 @@
+/**
+ * Daily.dev Streak Keeper - Dates
+ *
+ * Shared helpers for working out streak days:
+ * - Resolves the configured streak timezone (or the browser's own)
+ * - Works out which streak day a moment belongs to, honouring the rollover hour
+ * - Converts schedule times in the streak timezone to timestamps
+ * - Works out when the current streak day ends
+ */
+
+"use strict";
+
+/**
+ * Get the timezone streak days are counted in
+ * @param {Object} settings - The settings object
+ * @returns {string} IANA timezone name
+ */
+function resolveTimeZone(settings) {
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const timeZone = settings && settings.timezone;
+  if (!timeZone) {
+    return browserTimeZone;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timeZone });
+    return timeZone;
+  } catch (error) {
+    console.error(`Invalid streak timezone "${timeZone}":`, error);
+    return browserTimeZone;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of a moment in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} [date=new Date()] - The moment to convert
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}} Wall-clock parts (month is 1-based)
+ */
+function getZonedTime(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    if (part.type !== "literal") {
+      values[part.type] = parseInt(part.value, 10);
+    }
+  }
+
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} year - Year
+ * @param {number} month - Month (1-based)
+ * @param {number} day - Day of the month (may overflow into the next month)
+ * @param {number} hour - Hour in 24-hour format
+ * @param {number} minute - Minute
+ * @returns {number} Timestamp in milliseconds
+ */
+function zonedTimeToTimestamp(timeZone, year, month, day, hour, minute) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct by the zone's offset, twice so DST transitions settle
+  let timestamp = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const zoned = getZonedTime(timeZone, new Date(timestamp));
+    const zonedAsUtc = Date.UTC(
+      zoned.year,
+      zoned.month - 1,
+      zoned.day,
+      zoned.hour,
+      zoned.minute
+    );
+    timestamp += wallClock - zonedAsUtc;
+  }
+
+  return timestamp;
+}
+
+/**
+ * Get the streak day a moment belongs to
+ * Moments before the rollover hour count towards the previous day.
+ * @param {Object} settings - The settings object
+ * @param {Date} [now=new Date()] - The moment to check
+ * @returns {Date} Local midnight of the streak day's calendar date
+ */
+function getStreakDate(settings, now = new Date()) {
+  const rolloverHour = (settings && settings.dayRolloverHour) || 0;
+  const shifted = new Date(now.getTime() - rolloverHour * 60 * 60 * 1000);
+  const zoned = getZonedTime(resolveTimeZone(settings), shifted);
+  return new Date(zoned.year, zoned.month - 1, zoned.day);
+}
+
+/**
+ * Get the current streak day in the format stored as lastVisit
+ * @param {Object} settings - The settings object
+ * @param {Date} [now=new Date()] - The moment to check
+ * @returns {string} Streak day (e.g., "Mon Oct 19 2026")
+ */
+function getStreakDayString(settings, now = new Date()) {
+  return getStreakDate(settings, now).toDateString();
+}
+
+/**
+ * Turn a streak day stored as lastVisit back into a date
+ * @param {string|null} dayString - Streak day as from getStreakDayString
+ * @returns {Date|null} Local midnight of the day, or null if there is none or it can't be read
+ */
+function parseStreakDayString(dayString) {
+  if (!dayString) {
+    return null;
+  }
+  const date = new Date(dayString);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the number of minutes since midnight in the streak timezone
+ * @param {Object} settings - The settings object
+ * @param {Date} [now=new Date()] - The moment to check
+ * @returns {number} Minutes since midnight
+ */
+function getStreakMinutesNow(settings, now = new Date()) {
+  const zoned = getZonedTime(resolveTimeZone(settings), now);
+  return zoned.hour * 60 + zoned.minute;
+}
+
+/**
+ * Get the timestamp of the next occurrence of a time in the streak timezone
+ * @param {number} hour - Hour in 24-hour format
+ * @param {number} minute - Minute
+ * @param {Object} settings - The settings object
+ * @param {Date} [now=new Date()] - The moment to count from
+ * @returns {number} Timestamp of the next occurrence
+ */
+function getNextZonedTime(hour, minute, settings, now = new Date()) {
+  const timeZone = resolveTimeZone(settings);
+  const zoned = getZonedTime(timeZone, now);
+
+  let next = zonedTimeToTimestamp(
+    timeZone,
+    zoned.year,
+    zoned.month,
+    zoned.day,
+    hour,
+    minute
+  );
+
+  // If it's already past the specified time, schedule for tomorrow
+  if (next <= now.getTime()) {
+    next = zonedTimeToTimestamp(
+      timeZone,
+      zoned.year,
+      zoned.month,
+      zoned.day + 1,
+      hour,
+      minute
+    );
+  }
+
+  return next;
+}
+
+/**
+ * Get the timestamp of a time on the current streak day
+ * Times before the rollover hour fall on the next calendar date, since the
+ * streak day only ends at the rollover.
+ * @param {number} hour - Hour in 24-hour format
+ * @param {number} minute - Minute
+ * @param {Object} settings - The settings object
+ * @param {Date} [now=new Date()] - A moment on the streak day
+ * @returns {number} Timestamp of that time on the streak day
+ */
+function getStreakDayTime(hour, minute, settings, now = new Date()) {
+  const streakDate = getStreakDate(settings, now);
+  const rolloverHour = (settings && settings.dayRolloverHour) || 0;
+
+  return zonedTimeToTimestamp(
+    resolveTimeZone(settings),
+    streakDate.getFullYear(),
+    streakDate.getMonth() + 1,
+    streakDate.getDate() + (hour < rolloverHour ? 1 : 0),
+    hour,
+    minute
+  );
+}
+
+/**
+ * Get the timestamp at which the current streak day ends
+ * @param {Object} settings - The settings object
+ * @param {Date} [now=new Date()] - A moment on the streak day
+ * @returns {number} Timestamp of the next rollover
+ */
+function getStreakDayEnd(settings, now = new Date()) {
+  const streakDate = getStreakDate(settings, now);
+  const rolloverHour = (settings && settings.dayRolloverHour) || 0;
+
+  return zonedTimeToTimestamp(
+    resolveTimeZone(settings),
+    streakDate.getFullYear(),
+    streakDate.getMonth() + 1,
+    streakDate.getDate() + 1,
+    rolloverHour,
+    0
+  );
+}
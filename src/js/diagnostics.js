@@ -0,0 +1,199 @@
+/**
+ * Daily.dev Streak Keeper - Diagnostics Script
+ *
+ * This script handles the diagnostics page functionality:
+ * - Lists the activity log, newest entry first
+ * - Filters entries by category, outcome and message text
+ * - Highlights the entry the popup linked to
+ * - Exports the shown entries as JSON and clears the log
+ */
+
+"use strict";
+
+// The whole log as last loaded, oldest entry first
+let activityLog = [];
+
+/**
+ * Initialize the diagnostics page when the DOM is fully loaded
+ */
+document.addEventListener("DOMContentLoaded", () => {
+  initializeDiagnostics();
+});
+
+/**
+ * Fill the filters, wire up the page controls and show the log
+ */
+function initializeDiagnostics() {
+  try {
+    fillFilterOptions("activity-category", ACTIVITY_CATEGORIES);
+    fillFilterOptions("activity-outcome", ACTIVITY_OUTCOMES);
+
+    for (const id of ["activity-category", "activity-outcome"]) {
+      document.getElementById(id).addEventListener("change", renderActivityLog);
+    }
+    document
+      .getElementById("activity-search")
+      .addEventListener("input", renderActivityLog);
+    document
+      .getElementById("export-activity")
+      .addEventListener("click", handleExportActivity);
+    document
+      .getElementById("clear-activity")
+      .addEventListener("click", handleClearActivity);
+
+    // Keep the list current while the background script records entries
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[ACTIVITY_LOG_KEY]) {
+        activityLog = changes[ACTIVITY_LOG_KEY].newValue || [];
+        renderActivityLog();
+      }
+    });
+
+    loadActivityLog((log) => {
+      activityLog = log;
+      renderActivityLog();
+      scrollToLinkedEntry();
+    });
+  } catch (error) {
+    console.error("Error initializing diagnostics page:", error);
+  }
+}
+
+/**
+ * Add an option for each value a filter can take
+ * @param {string} id - The ID of the filter's select element
+ * @param {Object} names - Display names keyed by value
+ */
+function fillFilterOptions(id, names) {
+  const select = document.getElementById(id);
+  for (const [value, name] of Object.entries(names)) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Get the entries matching the current filters, newest first
+ * @returns {Array<Object>} The matching entries
+ */
+function getFilteredActivity() {
+  const category = document.getElementById("activity-category").value;
+  const outcome = document.getElementById("activity-outcome").value;
+  const search = document
+    .getElementById("activity-search")
+    .value.trim()
+    .toLowerCase();
+
+  return activityLog
+    .filter(
+      (entry) =>
+        (!category || entry.category === category) &&
+        (!outcome || entry.outcome === outcome) &&
+        (!search || entry.message.toLowerCase().includes(search))
+    )
+    .reverse();
+}
+
+/**
+ * Show the entries matching the current filters
+ */
+function renderActivityLog() {
+  const entries = getFilteredActivity();
+  const linkedTime = Number(
+    new URLSearchParams(window.location.search).get("entry")
+  );
+
+  const tbody = document.getElementById("activity-entries");
+  tbody.innerHTML = "";
+  for (const entry of entries) {
+    tbody.appendChild(createActivityRow(entry, entry.time === linkedTime));
+  }
+
+  document.getElementById("activity-count").textContent =
+    entries.length === activityLog.length
+      ? `${activityLog.length} entries`
+      : `${entries.length} of ${activityLog.length} entries`;
+}
+
+/**
+ * Create the table row for an entry
+ * @param {Object} entry - The activity log entry
+ * @param {boolean} highlighted - Whether the popup linked to this entry
+ * @returns {HTMLTableRowElement} The row
+ */
+function createActivityRow(entry, highlighted) {
+  const row = document.createElement("tr");
+  row.className = `activity-${entry.outcome}`;
+  if (highlighted) {
+    row.classList.add("activity-linked");
+  }
+
+  const cells = [
+    new Date(entry.time).toLocaleString(),
+    ACTIVITY_CATEGORIES[entry.category] || entry.category,
+    ACTIVITY_OUTCOMES[entry.outcome] || entry.outcome,
+  ];
+  for (const text of cells) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+
+  const messageCell = document.createElement("td");
+  if (entry.details !== undefined) {
+    // Details are folded away so the list stays readable
+    const details = document.createElement("details");
+    details.open = highlighted;
+    const summary = document.createElement("summary");
+    summary.textContent = entry.message;
+    const pre = document.createElement("pre");
+    pre.textContent = JSON.stringify(entry.details, null, 2);
+    details.append(summary, pre);
+    messageCell.appendChild(details);
+  } else {
+    messageCell.textContent = entry.message;
+  }
+  row.appendChild(messageCell);
+
+  return row;
+}
+
+/**
+ * Scroll the entry the popup linked to into view
+ */
+function scrollToLinkedEntry() {
+  const row = document.querySelector(".activity-linked");
+  if (row) {
+    row.scrollIntoView({ block: "center" });
+  }
+}
+
+/**
+ * Download the shown entries as a JSON file
+ */
+function handleExportActivity() {
+  const text = JSON.stringify(getFilteredActivity(), null, 2);
+  const blob = new Blob([text], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `daily-dev-streak-activity-${getDateKey()}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Empty the activity log
+ */
+function handleClearActivity() {
+  clearActivityLog((success) => {
+    if (success) {
+      activityLog = [];
+      renderActivityLog();
+    }
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * Daily.dev Streak Keeper - History
+ *
+ * Shared helpers for the per-day reading history:
+ * - Builds the date keys the history is indexed by
+ * - Records whether a day was maintained, when, how, and the streak count at
+ *   the time
+ * - Records days the extension was paused or a streak freeze covered, so they
+ *   aren't counted as missed
+ * - Loads the history for display in the popup
+ * - Merges histories recorded on different devices
+ */
+
+"use strict";
+
+// Storage key holding the per-day history
+const HISTORY_KEY = "history";
+
+// How many days of history to keep before pruning the oldest entries
+const HISTORY_MAX_DAYS = 730;
+
+// How a maintained day was kept, with the name shown on the statistics page
+const HISTORY_METHODS = {
+  manual: "Read on daily.dev yourself",
+  autoClick: "Auto-click on a visit",
+  failsafe: "Failsafe",
+  sync: "Confirmed only by sync",
+};
+
+/**
+ * Build the history key ("YYYY-MM-DD") for a date in the local timezone
+ * @param {Date} [date=new Date()] - The date to build a key for
+ * @returns {string} The date key
+ */
+function getDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Record or update the history entry for a day
+ * Fields already stored for the day are kept unless the new entry overrides them.
+ * @param {string} dateKey - The day to record ("YYYY-MM-DD")
+ * @param {Object} entry - Fields to store for the day
+ * @param {boolean} [entry.maintained] - Whether the streak was maintained that day
+ * @param {boolean} [entry.paused] - Whether the extension was paused that day
+ * @param {boolean} [entry.frozen] - Whether a streak freeze covered the missed day
+ * @param {number} [entry.time] - When the day was maintained (ms since epoch)
+ * @param {string} [entry.method] - How the day was kept (see HISTORY_METHODS)
+ * @param {number|null} [entry.streakCount] - The streak count after that day
+ * @param {boolean} [entry.syncedWithDailyDev] - Whether the count came from daily.dev
+ * @param {function(boolean): void} [callback] - Receives whether the write succeeded
+ */
+function recordHistoryDay(dateKey, entry, callback) {
+  chrome.storage.local.get([HISTORY_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error accessing history:", chrome.runtime.lastError);
+      if (callback) callback(false);
+      return;
+    }
+
+    const history = pruneHistory({
+      ...(result[HISTORY_KEY] || {}),
+      [dateKey]: { ...((result[HISTORY_KEY] || {})[dateKey] || {}), ...entry },
+    });
+
+    chrome.storage.local.set({ [HISTORY_KEY]: history }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error updating history:", chrome.runtime.lastError);
+        if (callback) callback(false);
+        return;
+      }
+
+      if (callback) callback(true);
+    });
+  });
+}
+
+/**
+ * Load the per-day history
+ * @param {function(Object): void} callback - Receives the history keyed by date
+ */
+function loadHistory(callback) {
+  chrome.storage.local.get([HISTORY_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading history:", chrome.runtime.lastError);
+      callback({});
+      return;
+    }
+
+    callback(result[HISTORY_KEY] || {});
+  });
+}
+
+/**
+ * Drop the oldest entries once the history grows past HISTORY_MAX_DAYS
+ * @param {Object} history - History keyed by date
+ * @returns {Object} The pruned history
+ */
+function pruneHistory(history) {
+  const keys = Object.keys(history).sort();
+  if (keys.length <= HISTORY_MAX_DAYS) {
+    return history;
+  }
+
+  const pruned = {};
+  for (const key of keys.slice(keys.length - HISTORY_MAX_DAYS)) {
+    pruned[key] = history[key];
+  }
+  return pruned;
+}
+
+/**
+ * Merge two records of the same day, e.g. from different devices
+ * A day maintained on either side is maintained, at the earliest time and by
+ * the method that kept it first, with the highest streak count seen. The
+ * result doesn't depend on the order.
+ * @param {Object} [a] - One record of the day
+ * @param {Object} [b] - The other record of the day
+ * @returns {Object} The merged record
+ */
+function mergeHistoryEntries(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+
+  const merged = {};
+  for (const field of [
+    "maintained",
+    "paused",
+    "frozen",
+    "syncedWithDailyDev",
+  ]) {
+    if (field in a || field in b) {
+      merged[field] = Boolean(a[field] || b[field]);
+    }
+  }
+
+  const times = [a, b]
+    .filter((entry) => entry.maintained && typeof entry.time === "number")
+    .map((entry) => entry.time);
+  if (times.length > 0) {
+    merged.time = Math.min(...times);
+  }
+
+  // Entries without a time sort last; equal times fall back to the method name
+  const methods = [a, b]
+    .filter((entry) => entry.maintained && entry.method)
+    .sort(
+      (x, y) =>
+        (typeof x.time === "number" ? x.time : Infinity) -
+          (typeof y.time === "number" ? y.time : Infinity) ||
+        x.method.localeCompare(y.method)
+    );
+  if (methods.length > 0) {
+    merged.method = methods[0].method;
+  }
+
+  const counts = [a.streakCount, b.streakCount].filter(
+    (count) => typeof count === "number"
+  );
+  if (counts.length > 0) {
+    merged.streakCount = Math.max(...counts);
+  } else if ("streakCount" in a || "streakCount" in b) {
+    merged.streakCount = null;
+  }
+
+  return merged;
+}
+
+/**
+ * Merge two histories day by day (see mergeHistoryEntries)
+ * @param {Object} a - One history keyed by date
+ * @param {Object} b - The other history keyed by date
+ * @returns {Object} The merged history, pruned to HISTORY_MAX_DAYS
+ */
+function mergeHistories(a, b) {
+  const merged = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    merged[key] = mergeHistoryEntries(a[key], b[key]);
+  }
+  return pruneHistory(merged);
+}
@@ -0,0 +1,70 @@
+/**
+ * Daily.dev Streak Keeper - Logger
+ *
+ * Shared console logger for the background script and the functions it
+ * injects into daily.dev:
+ * - Writes errors, warnings, info and debug messages, dropping those more
+ *   detailed than the level chosen in the settings
+ * - Times steps such as selector lookups in debug mode
+ *
+ * The file is injected into daily.dev before every page function, often more
+ * than once into the same page, so it only declares functions at the top level
+ * (declaring a const twice would throw).
+ */
+
+"use strict";
+
+/**
+ * List the log levels, least detailed first
+ * @returns {string[]} The level names
+ */
+function getLogLevels() {
+  return ["error", "warn", "info", "debug"];
+}
+
+/**
+ * Create a logger that writes to the console
+ * @param {string} level - The most detailed level to write ("error", "warn", "info" or "debug"); unknown levels write warnings and errors
+ * @param {string} [scope] - Where the messages come from, shown in front of each one
+ * @returns {{level: string, isEnabled: function(string): boolean, error: Function, warn: Function, info: Function, debug: Function, time: function(string): function(string=): void}} The logger
+ */
+function createLogger(level, scope) {
+  const levels = getLogLevels();
+  const maxRank = levels.includes(level)
+    ? levels.indexOf(level)
+    : levels.indexOf("warn");
+  const prefix = scope ? `[Streak Keeper ${scope}]` : "[Streak Keeper]";
+
+  const isEnabled = (messageLevel) => levels.indexOf(messageLevel) <= maxRank;
+
+  const write =
+    (messageLevel, method) =>
+    (...args) => {
+      if (isEnabled(messageLevel)) {
+        console[method](prefix, ...args);
+      }
+    };
+
+  return {
+    level: levels[maxRank],
+    isEnabled: isEnabled,
+    error: write("error", "error"),
+    warn: write("warn", "warn"),
+    info: write("info", "info"),
+    // console.debug is hidden in DevTools by default, so debug output uses log
+    debug: write("debug", "log"),
+    // Start timing a step; call the returned function when it's done
+    time: (label) => {
+      const start = performance.now();
+      return (detail) => {
+        if (isEnabled("debug")) {
+          const elapsed = (performance.now() - start).toFixed(1);
+          console.log(
+            prefix,
+            `${label} took ${elapsed} ms${detail ? ` (${detail})` : ""}`
+          );
+        }
+      };
+    },
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Daily.dev Streak Keeper - Storage Migrations
+ *
+ * Upgrades data stored by older versions of the extension in place:
+ * - Numbers each storage layout with a schema version, kept in storage
+ * - Lists the migrations from each version to the next
+ * Storage without a schema version was written by extension version 1.0 and
+ * counts as schema version 1. Settings added since then need no migration;
+ * missing ones fall back to their defaults when the settings are loaded.
+ * Needs dates.js and history.js.
+ */
+
+"use strict";
+
+// Storage key holding the schema version the stored data follows
+const SCHEMA_VERSION_KEY = "schemaVersion";
+
+// Each migration upgrades the stored data from the version before it and
+// returns the storage keys to overwrite. Released migrations must never change;
+// add a new one with the next version instead.
+const STORAGE_MIGRATIONS = [
+  {
+    version: 2,
+    description:
+      "Recorded the last maintained day in the history, which older versions didn't keep",
+    migrate: (stored) => {
+      const lastVisit = parseStreakDayString(stored.lastVisit);
+      const history = stored[HISTORY_KEY] || {};
+      if (!lastVisit || history[getDateKey(lastVisit)]) {
+        return {};
+      }
+
+      return {
+        [HISTORY_KEY]: {
+          ...history,
+          [getDateKey(lastVisit)]: {
+            maintained: true,
+            streakCount: stored.streak || 0,
+          },
+        },
+      };
+    },
+  },
+];
+
+// The schema version data written by this version of the extension follows
+const CURRENT_SCHEMA_VERSION =
+  STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+/**
+ * List the migrations stored data still needs
+ * @param {number|undefined} storedVersion - The stored schema version, if any
+ * @returns {Array<Object>} The migrations to run, oldest first
+ */
+function getPendingMigrations(storedVersion) {
+  const version = storedVersion || 1;
+  return STORAGE_MIGRATIONS.filter((migration) => migration.version > version);
+}
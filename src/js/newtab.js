@@ -2,9 +2,13 @@
  * Daily.dev Streak Keeper - New Tab Script
  *
  * This script handles the new tab page functionality:
+ * - Reads the new tab mode from the settings
  * - Checks if the daily streak has been maintained
- * - Redirects to daily.dev if the streak hasn't been maintained yet
- * - Shows a message and button if the streak has already been maintained
+ * - Redirects to daily.dev when the mode asks for it
+ * - Otherwise shows Chrome's default new tab page or a blank page
+ * - In dashboard mode, shows the streak, today's status, a countdown to the
+ *   next streak day, the next reminder and failsafe, and recent history
+ * - Doesn't push daily.dev on days daily.dev doesn't count
  */
 
 "use strict";
@@ -12,6 +16,21 @@
 // Constants
 const DAILY_DEV_URL = "https://app.daily.dev/";
 const REDIRECT_DELAY_MS = 1000;
+const CHROME_NEW_TAB_URL = "chrome://new-tab-page/";
+const DASHBOARD_HISTORY_DAYS = 14;
+
+// Storage keys whose changes the dashboard redraws for
+const DASHBOARD_KEYS = [
+  "streak",
+  "lastVisit",
+  "syncedWithDailyDev",
+  SETTINGS_KEY,
+  HISTORY_KEY,
+  STREAK_RULES_KEY,
+];
+
+// Interval updating the dashboard's reset countdown
+let countdownTimer = null;
 
 /**
  * Initialize the new tab page when the window loads
@@ -26,22 +45,36 @@ window.onload = function () {
 function initializeNewTab() {
   try {
     // Check if we need to redirect to daily.dev
-    chrome.storage.local.get(["lastVisit"], (result) => {
-      if (chrome.runtime.lastError) {
-        console.error("Error accessing storage:", chrome.runtime.lastError);
-        showError("Could not check streak status");
-        return;
-      }
+    chrome.storage.local.get(
+      ["lastVisit", SETTINGS_KEY, STREAK_RULES_KEY],
+      (result) => {
+        if (chrome.runtime.lastError) {
+          console.error("Error accessing storage:", chrome.runtime.lastError);
+          showError("Could not check streak status");
+          return;
+        }
 
-      const today = new Date().toDateString();
+        const settings = mergeSettings(result[SETTINGS_KEY]);
+        const today = getStreakDayString(settings);
+        const streakDone = result.lastVisit === today;
+        const paused =
+          getPauseRange(settings, getDateKey(getStreakDate(settings))) !== null;
+        const dayOff = !isReadingDay(
+          mergeStreakRules(result[STREAK_RULES_KEY]),
+          getStreakDate(settings)
+        );
 
-      // Determine if streak has been maintained today
-      if (!result.lastVisit || result.lastVisit !== today) {
-        handleIncompleteStreak();
-      } else {
-        handleCompletedStreak();
+        if (settings.newTab.mode === "dashboard") {
+          showDashboard();
+        } else if (settings.newTab.mode === "never") {
+          showFallbackPage(settings.newTab.fallback);
+        } else if (!streakDone && !paused && !dayOff) {
+          handleIncompleteStreak();
+        } else {
+          handleCompletedStreak(settings.newTab);
+        }
       }
-    });
+    );
   } catch (error) {
     console.error("Error initializing new tab:", error);
     showError("An error occurred while loading the page");
@@ -72,10 +105,16 @@ function handleIncompleteStreak() {
 
 /**
  * Handle the case when the streak has already been maintained
- * Simply redirect to daily.dev without showing intermediate page
+ * In "always" mode this still goes to daily.dev; otherwise the fallback page is shown.
+ * @param {Object} newTab - The new tab settings
  */
-function handleCompletedStreak() {
+function handleCompletedStreak(newTab) {
   try {
+    if (newTab.mode !== "always") {
+      showFallbackPage(newTab.fallback);
+      return;
+    }
+
     // Show a brief message about redirecting
     const loadingElement = document.getElementById("loading");
     if (loadingElement) {
@@ -90,6 +129,260 @@ function handleCompletedStreak() {
   }
 }
 
+/**
+ * Show the page used instead of daily.dev
+ * @param {string} fallback - "default" for Chrome's new tab page, "blank" for an empty page
+ */
+function showFallbackPage(fallback) {
+  try {
+    if (fallback === "default") {
+      // Pages can't link to chrome:// URLs, so navigate the tab itself
+      chrome.tabs.getCurrent((tab) => {
+        if (chrome.runtime.lastError || !tab) {
+          console.error(
+            "Error opening the default new tab page:",
+            chrome.runtime.lastError
+          );
+          showBlankPage();
+          return;
+        }
+
+        chrome.tabs.update(tab.id, { url: CHROME_NEW_TAB_URL }, () => {
+          if (chrome.runtime.lastError) {
+            console.error(
+              "Error opening the default new tab page:",
+              chrome.runtime.lastError
+            );
+            showBlankPage();
+          }
+        });
+      });
+      return;
+    }
+
+    showBlankPage();
+  } catch (error) {
+    console.error("Error showing the new tab page:", error);
+    showBlankPage();
+  }
+}
+
+/**
+ * Clear the page, leaving an empty new tab
+ */
+function showBlankPage() {
+  document.title = "New Tab";
+  document.body.classList.add("newtab-blank");
+  document.body.textContent = "";
+}
+
+/**
+ * Show the streak dashboard and keep it up to date as storage changes
+ */
+function showDashboard() {
+  try {
+    document.getElementById("loading").hidden = true;
+    document.querySelector(".spinner").style.display = "none";
+    document.getElementById("dashboard").hidden = false;
+    document.title = "Daily.dev Streak";
+
+    document.getElementById("dashboard-open").addEventListener("click", () => {
+      window.location.href = DAILY_DEV_URL;
+    });
+
+    renderDashboard();
+
+    // Redraw as soon as the background script records a visit
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (
+        areaName === "local" &&
+        DASHBOARD_KEYS.some((key) => key in changes)
+      ) {
+        renderDashboard();
+      }
+    });
+  } catch (error) {
+    console.error("Error showing dashboard:", error);
+    showError("Could not show the streak dashboard");
+  }
+}
+
+/**
+ * Fill the dashboard from storage
+ */
+function renderDashboard() {
+  chrome.storage.local.get(DASHBOARD_KEYS, (result) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error accessing storage:", chrome.runtime.lastError);
+      showError("Could not check streak status");
+      return;
+    }
+
+    try {
+      const settings = mergeSettings(result[SETTINGS_KEY]);
+      const rules = mergeStreakRules(result[STREAK_RULES_KEY]);
+      const streakDone = result.lastVisit === getStreakDayString(settings);
+
+      document.getElementById("dashboard-streak").textContent =
+        result.streak || 0;
+
+      const paused =
+        getPauseRange(settings, getDateKey(getStreakDate(settings))) !== null;
+      const dayOff = !isReadingDay(rules, getStreakDate(settings));
+      const resting = paused || dayOff;
+
+      const statusEl = document.getElementById("dashboard-status");
+      statusEl.classList.toggle("status-success", streakDone);
+      statusEl.classList.toggle("status-paused", !streakDone && resting);
+      statusEl.classList.toggle("status-warning", !streakDone && !resting);
+      if (streakDone) {
+        statusEl.textContent = result.syncedWithDailyDev
+          ? "Today is done! (Synced with daily.dev)"
+          : "Today is done!";
+      } else if (paused) {
+        statusEl.textContent = "The extension is paused today";
+      } else if (dayOff) {
+        statusEl.textContent = "daily.dev doesn't count today";
+      } else {
+        statusEl.textContent = "You haven't read on daily.dev today yet";
+      }
+
+      document.getElementById("dashboard-next-reminder").textContent =
+        describeNextScheduleEntry(
+          "reminder",
+          getEnabledReminders(settings.reminders),
+          settings,
+          streakDone || resting
+        );
+      document.getElementById("dashboard-next-failsafe").textContent =
+        describeNextScheduleEntry(
+          "failsafe",
+          getEnabledScheduleEntries(settings.schedule, "Failsafe"),
+          settings,
+          streakDone || resting
+        );
+
+      renderRecentHistory(result[HISTORY_KEY] || {}, settings, rules);
+      startResetCountdown(settings);
+    } catch (error) {
+      console.error("Error rendering dashboard:", error);
+      showError("Could not show the streak dashboard");
+    }
+  });
+}
+
+/**
+ * Describe the next reminder or failsafe still to come on the streak day
+ * @param {string} label - Name shown to the user ("reminder" or "failsafe")
+ * @param {Array<{hour: number, minute: number}>} entries - The enabled entries of that kind, sorted by time
+ * @param {Object} settings - The settings object
+ * @param {boolean} noneNeeded - Whether nothing needs to run today (done, paused or not counted)
+ * @returns {string} Text for the dashboard
+ */
+function describeNextScheduleEntry(label, entries, settings, noneNeeded) {
+  if (entries.length === 0) {
+    return `No ${label}s are scheduled`;
+  }
+  if (noneNeeded) {
+    return `No ${label} needed today`;
+  }
+
+  const now = Date.now();
+  const next = entries.find(
+    (entry) => getStreakDayTime(entry.hour, entry.minute, settings) > now
+  );
+  return next
+    ? `Next ${label} at ${formatTime(next.hour, next.minute)}`
+    : `No ${label}s left today`;
+}
+
+/**
+ * Show the last few streak days as a row of maintained and missed days
+ * @param {Object} history - History entries keyed by date
+ * @param {Object} settings - The settings object, used to work out today
+ * @param {Object} rules - The streak rules, used to find days daily.dev doesn't count
+ */
+function renderRecentHistory(history, settings, rules) {
+  const container = document.getElementById("dashboard-history");
+  container.textContent = "";
+
+  const today = getStreakDate(settings);
+  const todayKey = getDateKey(today);
+  const firstKey = Object.keys(history).sort()[0] || todayKey;
+
+  const date = new Date(today);
+  date.setDate(date.getDate() - (DASHBOARD_HISTORY_DAYS - 1));
+  for (let i = 0; i < DASHBOARD_HISTORY_DAYS; i++) {
+    const key = getDateKey(date);
+    const entry = history[key];
+
+    let dayClass = "day-missed";
+    if (entry && entry.maintained) {
+      dayClass = "day-maintained";
+    } else if ((entry && entry.paused) || getPauseRange(settings, key)) {
+      dayClass = "day-paused";
+    } else if (entry && entry.frozen) {
+      dayClass = "day-frozen";
+    } else if (key === todayKey) {
+      dayClass = "day-pending";
+    } else if (key < firstKey) {
+      dayClass = "day-empty";
+    } else if (!isReadingDay(rules, date)) {
+      dayClass = "day-off";
+    }
+
+    const cell = document.createElement("div");
+    cell.className = `calendar-day ${dayClass}`;
+    cell.textContent = date.getDate();
+    cell.title = `${date.toDateString()}: ${dayClass
+      .replace("day-", "")
+      .replace("empty", "not recorded")}`;
+    container.appendChild(cell);
+
+    date.setDate(date.getDate() + 1);
+  }
+}
+
+/**
+ * Count down to the start of the next streak day, redrawing when it arrives
+ * @param {Object} settings - The settings object
+ */
+function startResetCountdown(settings) {
+  clearInterval(countdownTimer);
+
+  const dayEnd = getStreakDayEnd(settings);
+  const countdownEl = document.getElementById("dashboard-countdown");
+
+  const tick = () => {
+    const remaining = dayEnd - Date.now();
+    if (remaining <= 0) {
+      clearInterval(countdownTimer);
+      renderDashboard();
+      return;
+    }
+    countdownEl.textContent = formatDuration(remaining);
+  };
+
+  tick();
+  countdownTimer = setInterval(tick, 1000);
+}
+
+/**
+ * Format a duration as hours, minutes and seconds (e.g., "5:04:09")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(
+    2,
+    "0"
+  );
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${hours}:${minutes}:${seconds}`;
+}
+
 /**
  * Display an error message on the page
  * @param {string} message - The error message to display
@@ -0,0 +1,1182 @@
+/**
+ * Daily.dev Streak Keeper - Options Script
+ *
+ * This script handles the options page functionality:
+ * - Sets the timezone and rollover hour streak days are counted in
+ * - Sets the tags, keywords and sources the auto-read prefers or avoids
+ * - Shows the sync, reminder and failsafe schedule
+ * - Lets each schedule entry be enabled, disabled and moved to another time
+ * - Saves the settings so the background script can rebuild its alarms
+ * - Edits, imports and exports the selector profile used on daily.dev
+ * - Exports a backup (or the history as CSV) and imports a backup after a preview
+ * - Sets how much the extension logs to the console
+ * - Opens the diagnostics page with the activity log
+ */
+
+"use strict";
+
+// Backup read from a file, waiting for the user to confirm the import
+let pendingBackup = null;
+
+/**
+ * Initialize the options page when the DOM is fully loaded
+ */
+document.addEventListener("DOMContentLoaded", () => {
+  initializeOptions();
+});
+
+/**
+ * Load the stored settings and wire up the page controls
+ */
+function initializeOptions() {
+  try {
+    loadSettings((settings) => {
+      renderSettings(settings);
+    });
+
+    document
+      .getElementById("save-settings")
+      .addEventListener("click", handleSave);
+    document
+      .getElementById("reset-settings")
+      .addEventListener("click", handleReset);
+    document.getElementById("add-reminder").addEventListener("click", () => {
+      appendReminderRow({
+        ...DEFAULT_SETTINGS.reminders[0],
+        id: `reminder${Date.now().toString(36)}`,
+      });
+    });
+
+    document
+      .getElementById("add-quiet-window")
+      .addEventListener("click", () => {
+        appendQuietWindowRow({
+          days: [1, 2, 3, 4, 5],
+          startHour: 12,
+          startMinute: 0,
+          endHour: 13,
+          endMinute: 0,
+        });
+      });
+
+    document
+      .getElementById("pause-today")
+      .addEventListener("click", handlePauseToday);
+    document.getElementById("add-pause-range").addEventListener("click", () => {
+      loadSettings((settings) => {
+        const start = getStreakDate(settings);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 7);
+        appendPauseRow({ start: getDateKey(start), end: getDateKey(end) });
+      });
+    });
+
+    renderReminderPlaceholders();
+
+    initializeSelectorProfile();
+
+    initializeBackup();
+
+    document
+      .getElementById("open-diagnostics")
+      .addEventListener("click", () => {
+        chrome.tabs.create({
+          url: chrome.runtime.getURL("src/html/diagnostics.html"),
+        });
+      });
+  } catch (error) {
+    console.error("Error initializing options page:", error);
+    showStatus("An error occurred while loading the settings", true);
+  }
+}
+
+/**
+ * Fill the page controls from a settings object
+ * @param {Object} settings - The settings to display
+ */
+function renderSettings(settings) {
+  renderStreakDay(settings);
+  renderPauseRanges(settings.pause.ranges);
+  renderArticlePreferences(settings.articlePreferences);
+  renderReadingSession(settings.readingSession);
+  renderFailsafe(settings.failsafe);
+  renderNewTab(settings.newTab);
+  renderSchedule(settings.schedule);
+  renderReminders(settings.reminders);
+  renderQuietHours(settings.quietHours);
+  document.getElementById("log-level").value = settings.logLevel;
+}
+
+// Article preference fields and the inputs that edit them
+const ARTICLE_PREFERENCE_INPUTS = {
+  preferredTags: "preferred-tags",
+  preferredKeywords: "preferred-keywords",
+  blockedSources: "blocked-sources",
+  blockedKeywords: "blocked-keywords",
+};
+
+/**
+ * Fill the article preference inputs as comma-separated lists
+ * @param {Object} preferences - The article preferences from the settings
+ */
+function renderArticlePreferences(preferences) {
+  for (const [field, inputId] of Object.entries(ARTICLE_PREFERENCE_INPUTS)) {
+    document.getElementById(inputId).value = (preferences[field] || []).join(
+      ", "
+    );
+  }
+}
+
+/**
+ * Read the article preferences from the page controls
+ * @returns {Object} Lists of lowercase entries keyed by preference field
+ */
+function collectArticlePreferences() {
+  const preferences = {};
+  for (const [field, inputId] of Object.entries(ARTICLE_PREFERENCE_INPUTS)) {
+    preferences[field] = document
+      .getElementById(inputId)
+      .value.split(",")
+      .map((item) => item.trim().replace(/^#/, "").toLowerCase())
+      .filter(Boolean);
+  }
+  return preferences;
+}
+
+/**
+ * Fill the reading session controls
+ * @param {Object} session - The reading session settings
+ */
+function renderReadingSession(session) {
+  document.getElementById("dwell-seconds").value = String(session.dwellSeconds);
+  document.getElementById("reading-scroll").checked = session.scroll;
+  document.getElementById("max-attempts").value = String(session.maxAttempts);
+}
+
+/**
+ * Read the reading session settings from the page controls
+ * @returns {Object|null} The reading session settings, or null if a number is invalid
+ */
+function collectReadingSession() {
+  const dwellSeconds = Number(document.getElementById("dwell-seconds").value);
+  if (
+    !Number.isInteger(dwellSeconds) ||
+    dwellSeconds < 0 ||
+    dwellSeconds > 600
+  ) {
+    showStatus(
+      "Seconds on the article must be a whole number from 0 to 600",
+      true
+    );
+    return null;
+  }
+
+  const maxAttempts = Number(document.getElementById("max-attempts").value);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+    showStatus("Articles to try must be a whole number from 1 to 10", true);
+    return null;
+  }
+
+  return {
+    dwellSeconds: dwellSeconds,
+    scroll: document.getElementById("reading-scroll").checked,
+    maxAttempts: maxAttempts,
+  };
+}
+
+/**
+ * Fill the failsafe controls
+ * @param {Object} failsafe - The failsafe settings
+ */
+function renderFailsafe(failsafe) {
+  document.getElementById("failsafe-presentation").value =
+    failsafe.presentation;
+  document.getElementById("failsafe-close").checked = failsafe.closeWhenDone;
+}
+
+/**
+ * Read the failsafe settings from the page controls
+ * @returns {Object} The failsafe settings
+ */
+function collectFailsafe() {
+  return {
+    presentation: document.getElementById("failsafe-presentation").value,
+    closeWhenDone: document.getElementById("failsafe-close").checked,
+  };
+}
+
+/**
+ * Fill the new tab controls
+ * @param {Object} newTab - The new tab settings
+ */
+function renderNewTab(newTab) {
+  document.getElementById("new-tab-mode").value = newTab.mode;
+  document.getElementById("new-tab-fallback").value = newTab.fallback;
+}
+
+/**
+ * Read the new tab settings from the page controls
+ * @returns {Object} The new tab settings
+ */
+function collectNewTab() {
+  return {
+    mode: document.getElementById("new-tab-mode").value,
+    fallback: document.getElementById("new-tab-fallback").value,
+  };
+}
+
+/**
+ * Render one row per pause range
+ * @param {Array<{start: string, end: string}>} ranges - The pause ranges from the settings
+ */
+function renderPauseRanges(ranges) {
+  document.getElementById("pause-rows").textContent = "";
+  for (const range of ranges) {
+    appendPauseRow(range);
+  }
+}
+
+/**
+ * Add a row editing one pause range
+ * @param {{start: string, end: string}} range - The range to show
+ */
+function appendPauseRow(range) {
+  const row = document.createElement("div");
+  row.className = "reminder-row pause-row";
+
+  const startInput = document.createElement("input");
+  startInput.type = "date";
+  startInput.className = "pause-start";
+  startInput.value = range.start;
+
+  const endInput = document.createElement("input");
+  endInput.type = "date";
+  endInput.className = "pause-end";
+  endInput.value = range.end;
+
+  const removeButton = document.createElement("button");
+  removeButton.className = "btn btn-secondary";
+  removeButton.textContent = "Remove";
+  removeButton.addEventListener("click", () => {
+    row.remove();
+  });
+
+  row.appendChild(startInput);
+  row.appendChild(document.createTextNode("to"));
+  row.appendChild(endInput);
+  row.appendChild(removeButton);
+  document.getElementById("pause-rows").appendChild(row);
+}
+
+/**
+ * Pause today straight away
+ * Only the stored pause ranges change; unsaved edits elsewhere on the page are
+ * left for the Save button.
+ */
+function handlePauseToday() {
+  loadSettings((settings) => {
+    const todayKey = getDateKey(getStreakDate(settings));
+    if (getPauseRange(settings, todayKey)) {
+      showStatus("Today is already paused");
+      return;
+    }
+
+    const range = { start: todayKey, end: todayKey };
+    saveSettings(
+      { ...settings, pause: { ranges: [...settings.pause.ranges, range] } },
+      (success) => {
+        if (!success) {
+          showStatus("Could not pause today", true);
+          return;
+        }
+        appendPauseRow(range);
+        showStatus("Paused today");
+      }
+    );
+  });
+}
+
+/**
+ * Read the pause ranges from the page controls
+ * @returns {Object|null} The pause settings, or null if a range is invalid
+ */
+function collectPause() {
+  const ranges = [];
+
+  for (const row of document.querySelectorAll("#pause-rows .pause-row")) {
+    const start = row.querySelector(".pause-start").value;
+    const end = row.querySelector(".pause-end").value;
+
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(start) ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(end)
+    ) {
+      showStatus("Please enter a start and end date for every pause", true);
+      return null;
+    }
+    if (start > end) {
+      showStatus("A pause can't end before it starts", true);
+      return null;
+    }
+
+    ranges.push({ start: start, end: end });
+  }
+
+  return { ranges: ranges };
+}
+
+/**
+ * Fill the timezone and day rollover controls
+ * @param {Object} settings - The settings to display
+ */
+function renderStreakDay(settings) {
+  const timezoneEl = document.getElementById("timezone");
+  timezoneEl.textContent = "";
+
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  timezoneEl.appendChild(
+    new Option(`Browser default (${browserTimeZone})`, "")
+  );
+
+  const timeZones =
+    typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone")
+      : [];
+  if (settings.timezone && !timeZones.includes(settings.timezone)) {
+    timeZones.unshift(settings.timezone);
+  }
+  for (const timeZone of timeZones) {
+    timezoneEl.appendChild(new Option(timeZone, timeZone));
+  }
+  timezoneEl.value = settings.timezone || "";
+
+  const rolloverEl = document.getElementById("day-rollover-hour");
+  rolloverEl.textContent = "";
+  for (let hour = 0; hour < 24; hour++) {
+    rolloverEl.appendChild(new Option(formatTime(hour, 0), String(hour)));
+  }
+  rolloverEl.value = String(settings.dayRolloverHour || 0);
+}
+
+/**
+ * Render one row per schedule entry with an enable checkbox and a time input
+ * @param {Object} schedule - The schedule from the settings
+ */
+function renderSchedule(schedule) {
+  const rowsEl = document.getElementById("schedule-rows");
+  rowsEl.textContent = "";
+
+  for (const name of Object.keys(DEFAULT_SETTINGS.schedule)) {
+    const entry = schedule[name];
+    const row = document.createElement("tr");
+    row.dataset.alarm = name;
+
+    const enabledCell = document.createElement("td");
+    const enabledInput = document.createElement("input");
+    enabledInput.type = "checkbox";
+    enabledInput.id = `${name}-enabled`;
+    enabledInput.className = "schedule-enabled";
+    enabledInput.checked = entry.enabled;
+    enabledCell.appendChild(enabledInput);
+
+    const labelCell = document.createElement("td");
+    const label = document.createElement("label");
+    label.htmlFor = enabledInput.id;
+    label.textContent = SCHEDULE_LABELS[name] || name;
+    labelCell.appendChild(label);
+
+    const timeCell = document.createElement("td");
+    const timeInput = document.createElement("input");
+    timeInput.type = "time";
+    timeInput.className = "schedule-time";
+    timeInput.value = toTimeInputValue(entry.hour, entry.minute);
+    timeInput.disabled = !entry.enabled;
+    timeCell.appendChild(timeInput);
+
+    enabledInput.addEventListener("change", () => {
+      timeInput.disabled = !enabledInput.checked;
+    });
+
+    row.appendChild(enabledCell);
+    row.appendChild(labelCell);
+    row.appendChild(timeCell);
+    rowsEl.appendChild(row);
+  }
+}
+
+/**
+ * Read the schedule from the page controls
+ * @returns {Object|null} The schedule, or null if a time is invalid
+ */
+function collectSchedule() {
+  const schedule = {};
+
+  for (const row of document.querySelectorAll("#schedule-rows tr")) {
+    const name = row.dataset.alarm;
+    const enabled = row.querySelector(".schedule-enabled").checked;
+    const time = parseTimeInputValue(row.querySelector(".schedule-time").value);
+
+    if (!time) {
+      showStatus(
+        `Please enter a valid time for ${SCHEDULE_LABELS[name]}`,
+        true
+      );
+      return null;
+    }
+
+    schedule[name] = { enabled: enabled, hour: time.hour, minute: time.minute };
+  }
+
+  return schedule;
+}
+
+/**
+ * List the placeholders reminder messages can use
+ */
+function renderReminderPlaceholders() {
+  const listEl = document.getElementById("reminder-placeholders");
+  for (const [name, description] of Object.entries(REMINDER_PLACEHOLDERS)) {
+    const item = document.createElement("li");
+    const code = document.createElement("code");
+    code.textContent = `{${name}}`;
+    item.appendChild(code);
+    item.appendChild(document.createTextNode(` - ${description}`));
+    listEl.appendChild(item);
+  }
+}
+
+/**
+ * Render one row per reminder
+ * @param {Array<Object>} reminders - The reminders from the settings
+ */
+function renderReminders(reminders) {
+  document.getElementById("reminder-rows").textContent = "";
+  for (const reminder of reminders) {
+    appendReminderRow(reminder);
+  }
+}
+
+/**
+ * Add a row editing one reminder: enabled, time, urgency and message template
+ * @param {Object} reminder - The reminder to show
+ */
+function appendReminderRow(reminder) {
+  const row = document.createElement("div");
+  row.className = "reminder-row";
+  row.dataset.id = reminder.id;
+
+  const enabledInput = document.createElement("input");
+  enabledInput.type = "checkbox";
+  enabledInput.className = "reminder-enabled";
+  enabledInput.title = "Enabled";
+  enabledInput.checked = reminder.enabled;
+
+  const timeInput = document.createElement("input");
+  timeInput.type = "time";
+  timeInput.className = "reminder-time";
+  timeInput.value = toTimeInputValue(reminder.hour, reminder.minute);
+
+  const urgencySelect = document.createElement("select");
+  urgencySelect.className = "reminder-urgency";
+  for (const [value, urgency] of Object.entries(REMINDER_URGENCIES)) {
+    urgencySelect.appendChild(new Option(urgency.label, value));
+  }
+  urgencySelect.value = REMINDER_URGENCIES[reminder.urgency]
+    ? reminder.urgency
+    : "normal";
+
+  const messageInput = document.createElement("input");
+  messageInput.type = "text";
+  messageInput.className = "reminder-message";
+  messageInput.value = reminder.message;
+
+  const removeButton = document.createElement("button");
+  removeButton.className = "btn btn-secondary";
+  removeButton.textContent = "Remove";
+  removeButton.addEventListener("click", () => {
+    row.remove();
+  });
+
+  row.appendChild(enabledInput);
+  row.appendChild(timeInput);
+  row.appendChild(urgencySelect);
+  row.appendChild(messageInput);
+  row.appendChild(removeButton);
+  document.getElementById("reminder-rows").appendChild(row);
+}
+
+/**
+ * Read the reminders from the page controls
+ * @returns {Array<Object>|null} The reminders, or null if one is invalid
+ */
+function collectReminders() {
+  const reminders = [];
+
+  for (const row of document.querySelectorAll("#reminder-rows .reminder-row")) {
+    const time = parseTimeInputValue(row.querySelector(".reminder-time").value);
+    const message = row.querySelector(".reminder-message").value.trim();
+
+    if (!time) {
+      showStatus("Please enter a valid time for every reminder", true);
+      return null;
+    }
+    if (!message) {
+      showStatus("Please enter a message for every reminder", true);
+      return null;
+    }
+
+    reminders.push({
+      id: row.dataset.id,
+      enabled: row.querySelector(".reminder-enabled").checked,
+      hour: time.hour,
+      minute: time.minute,
+      urgency: row.querySelector(".reminder-urgency").value,
+      message: message,
+    });
+  }
+
+  return reminders;
+}
+
+/**
+ * Create a row of weekday checkboxes
+ * @param {number[]} days - Weekdays to tick (0 = Sunday)
+ * @returns {HTMLElement} The weekday picker
+ */
+function createWeekdayPicker(days) {
+  const picker = document.createElement("span");
+  picker.className = "weekday-picker";
+
+  WEEKDAY_NAMES.forEach((name, day) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = String(day);
+    checkbox.checked = days.includes(day);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(name));
+    picker.appendChild(label);
+  });
+
+  return picker;
+}
+
+/**
+ * Read the ticked weekdays from a weekday picker
+ * @param {HTMLElement} picker - The weekday picker
+ * @returns {number[]} Ticked weekdays (0 = Sunday)
+ */
+function readWeekdayPicker(picker) {
+  return Array.from(picker.querySelectorAll("input:checked")).map((checkbox) =>
+    parseInt(checkbox.value, 10)
+  );
+}
+
+/**
+ * Fill the reminder days and quiet windows
+ * @param {Object} quietHours - The quiet hour settings
+ */
+function renderQuietHours(quietHours) {
+  const daysEl = document.getElementById("reminder-days");
+  daysEl.textContent = "";
+  daysEl.appendChild(createWeekdayPicker(quietHours.reminderDays));
+
+  document.getElementById("quiet-window-rows").textContent = "";
+  for (const quietWindow of quietHours.windows) {
+    appendQuietWindowRow(quietWindow);
+  }
+}
+
+/**
+ * Add a row editing one quiet window: start and end time, and its weekdays
+ * @param {Object} quietWindow - The quiet window to show
+ */
+function appendQuietWindowRow(quietWindow) {
+  const row = document.createElement("div");
+  row.className = "reminder-row quiet-window-row";
+
+  const startInput = document.createElement("input");
+  startInput.type = "time";
+  startInput.className = "quiet-start";
+  startInput.value = toTimeInputValue(
+    quietWindow.startHour,
+    quietWindow.startMinute
+  );
+
+  const endInput = document.createElement("input");
+  endInput.type = "time";
+  endInput.className = "quiet-end";
+  endInput.value = toTimeInputValue(quietWindow.endHour, quietWindow.endMinute);
+
+  const removeButton = document.createElement("button");
+  removeButton.className = "btn btn-secondary";
+  removeButton.textContent = "Remove";
+  removeButton.addEventListener("click", () => {
+    row.remove();
+  });
+
+  row.appendChild(startInput);
+  row.appendChild(document.createTextNode("to"));
+  row.appendChild(endInput);
+  row.appendChild(createWeekdayPicker(quietWindow.days));
+  row.appendChild(removeButton);
+  document.getElementById("quiet-window-rows").appendChild(row);
+}
+
+/**
+ * Read the quiet hour settings from the page controls
+ * @returns {Object|null} The quiet hour settings, or null if a window is invalid
+ */
+function collectQuietHours() {
+  const windows = [];
+
+  for (const row of document.querySelectorAll(
+    "#quiet-window-rows .quiet-window-row"
+  )) {
+    const start = parseTimeInputValue(row.querySelector(".quiet-start").value);
+    const end = parseTimeInputValue(row.querySelector(".quiet-end").value);
+
+    if (!start || !end) {
+      showStatus(
+        "Please enter a valid start and end for every quiet window",
+        true
+      );
+      return null;
+    }
+
+    windows.push({
+      days: readWeekdayPicker(row.querySelector(".weekday-picker")),
+      startHour: start.hour,
+      startMinute: start.minute,
+      endHour: end.hour,
+      endMinute: end.minute,
+    });
+  }
+
+  return {
+    reminderDays: readWeekdayPicker(
+      document.querySelector("#reminder-days .weekday-picker")
+    ),
+    windows: windows,
+  };
+}
+
+/**
+ * Save the settings currently shown on the page
+ */
+function handleSave() {
+  try {
+    const schedule = collectSchedule();
+    if (!schedule) {
+      return;
+    }
+
+    const readingSession = collectReadingSession();
+    if (!readingSession) {
+      return;
+    }
+
+    const reminders = collectReminders();
+    if (!reminders) {
+      return;
+    }
+
+    const quietHours = collectQuietHours();
+    if (!quietHours) {
+      return;
+    }
+
+    const pause = collectPause();
+    if (!pause) {
+      return;
+    }
+
+    const timezone = document.getElementById("timezone").value;
+    const dayRolloverHour = parseInt(
+      document.getElementById("day-rollover-hour").value,
+      10
+    );
+
+    loadSettings((settings) => {
+      const updated = {
+        ...settings,
+        timezone: timezone,
+        dayRolloverHour: dayRolloverHour,
+        articlePreferences: collectArticlePreferences(),
+        readingSession: readingSession,
+        failsafe: collectFailsafe(),
+        newTab: collectNewTab(),
+        schedule: schedule,
+        reminders: reminders,
+        quietHours: quietHours,
+        pause: pause,
+        logLevel: document.getElementById("log-level").value,
+      };
+
+      saveSettings(updated, (success) => {
+        showStatus(
+          success ? "Settings saved" : "Could not save the settings",
+          !success
+        );
+      });
+    });
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    showStatus("Could not save the settings", true);
+  }
+}
+
+/**
+ * Restore the default settings and show them on the page
+ */
+function handleReset() {
+  try {
+    saveSettings(DEFAULT_SETTINGS, (success) => {
+      if (success) {
+        renderSettings(mergeSettings(DEFAULT_SETTINGS));
+      }
+      showStatus(
+        success ? "Default settings restored" : "Could not restore defaults",
+        !success
+      );
+    });
+  } catch (error) {
+    console.error("Error restoring default settings:", error);
+    showStatus("Could not restore defaults", true);
+  }
+}
+
+/**
+ * Show the stored selector profile and wire up its controls
+ */
+function initializeSelectorProfile() {
+  renderSelectorProfile();
+
+  document
+    .getElementById("save-selector-profile")
+    .addEventListener("click", handleSaveSelectorProfile);
+  document
+    .getElementById("reset-selector-profile")
+    .addEventListener("click", handleResetSelectorProfile);
+  document
+    .getElementById("export-selector-profile")
+    .addEventListener("click", handleExportSelectorProfile);
+  document
+    .getElementById("import-selector-profile")
+    .addEventListener("change", handleImportSelectorProfile);
+}
+
+/**
+ * Show the stored selector profile (or the built-in one) in the editor
+ * A stored profile that fails validation is shown as-is with a warning, so it
+ * can be fixed; the extension uses the built-in profile until then.
+ */
+function renderSelectorProfile() {
+  chrome.storage.local.get([SELECTOR_PROFILE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error(
+        "Error loading selector profile:",
+        chrome.runtime.lastError
+      );
+      showSelectorProfileWarning("Could not load the selector profile");
+      return;
+    }
+
+    const stored = result[SELECTOR_PROFILE_KEY];
+    const profile = stored || DEFAULT_SELECTOR_PROFILE;
+    document.getElementById("selector-profile").value = JSON.stringify(
+      profile,
+      null,
+      2
+    );
+
+    const errors = stored ? getSelectorProfileErrors(stored) : [];
+    showSelectorProfileWarning(
+      errors.length > 0
+        ? `This profile is invalid, so the built-in profile is being used: ${errors.join(
+            "; "
+          )}`
+        : null
+    );
+  });
+}
+
+/**
+ * Validate a selector profile, including the syntax of every selector
+ * @param {*} profile - The profile to validate
+ * @returns {string[]} Problems found (empty if the profile is valid)
+ */
+function getSelectorProfileErrors(profile) {
+  const errors = validateSelectorProfile(profile);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const selectors = [
+    ...profile.articleSelectors,
+    profile.articleLinkSelector,
+    profile.articleTitleSelector,
+    profile.articleSourceSelector,
+    profile.articleTagSelector,
+    profile.readTodaySelector,
+    profile.readingDaySelector,
+    profile.streakFreezeSelector,
+    ...Object.values(profile.streakSelectors).flat(),
+  ].filter((selector) => selector !== undefined);
+
+  const fragment = document.createDocumentFragment();
+  for (const selector of selectors) {
+    try {
+      fragment.querySelector(selector);
+    } catch (error) {
+      errors.push(`"${selector}" is not a valid CSS selector`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate profile JSON, then save it
+ * @param {string} text - The profile as JSON
+ */
+function saveSelectorProfileText(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    showSelectorProfileWarning(
+      `The profile is not valid JSON: ${error.message}`
+    );
+    return;
+  }
+
+  const errors = getSelectorProfileErrors(profile);
+  if (errors.length > 0) {
+    showSelectorProfileWarning(
+      `The profile was not saved: ${errors.join("; ")}`
+    );
+    return;
+  }
+
+  chrome.storage.local.set({ [SELECTOR_PROFILE_KEY]: profile }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving selector profile:", chrome.runtime.lastError);
+      showSelectorProfileWarning("Could not save the selector profile");
+      return;
+    }
+
+    renderSelectorProfile();
+    showStatus("Selector profile saved");
+  });
+}
+
+/**
+ * Save the profile currently in the editor
+ */
+function handleSaveSelectorProfile() {
+  saveSelectorProfileText(document.getElementById("selector-profile").value);
+}
+
+/**
+ * Remove the custom profile so the built-in one is used again
+ */
+function handleResetSelectorProfile() {
+  chrome.storage.local.remove(SELECTOR_PROFILE_KEY, () => {
+    if (chrome.runtime.lastError) {
+      console.error(
+        "Error removing selector profile:",
+        chrome.runtime.lastError
+      );
+      showSelectorProfileWarning("Could not restore the built-in profile");
+      return;
+    }
+
+    renderSelectorProfile();
+    showStatus("Using the built-in selector profile");
+  });
+}
+
+/**
+ * Download the profile in the editor as a JSON file
+ */
+function handleExportSelectorProfile() {
+  downloadFile(
+    document.getElementById("selector-profile").value,
+    "application/json",
+    "daily-dev-selector-profile.json"
+  );
+}
+
+/**
+ * Let the browser download some text as a file
+ * @param {string} text - The file contents
+ * @param {string} type - The MIME type of the file
+ * @param {string} fileName - The suggested file name
+ */
+function downloadFile(text, type, fileName) {
+  const blob = new Blob([text], { type: type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Load a profile from a JSON file, then validate and save it
+ * @param {Event} event - The file input's change event
+ */
+function handleImportSelectorProfile(event) {
+  const file = event.target.files[0];
+  if (!file) {
+    return;
+  }
+
+  file
+    .text()
+    .then((text) => {
+      document.getElementById("selector-profile").value = text;
+      saveSelectorProfileText(text);
+    })
+    .catch((error) => {
+      console.error("Error reading selector profile file:", error);
+      showSelectorProfileWarning("Could not read the selected file");
+    })
+    .finally(() => {
+      event.target.value = "";
+    });
+}
+
+/**
+ * Wire up the backup controls
+ */
+function initializeBackup() {
+  document
+    .getElementById("export-backup")
+    .addEventListener("click", handleExportBackup);
+  document
+    .getElementById("export-history-csv")
+    .addEventListener("click", handleExportHistoryCsv);
+  document
+    .getElementById("import-backup")
+    .addEventListener("change", handleImportBackup);
+  document
+    .getElementById("backup-import-mode")
+    .addEventListener("change", renderBackupPreview);
+  document
+    .getElementById("apply-backup")
+    .addEventListener("click", handleApplyBackup);
+  document.getElementById("cancel-backup").addEventListener("click", () => {
+    pendingBackup = null;
+    document.getElementById("backup-preview").hidden = true;
+  });
+}
+
+/**
+ * Download a backup of everything the extension stores
+ */
+function handleExportBackup() {
+  loadBackupData((stored) => {
+    if (!stored) {
+      showBackupWarning("Could not read the data to back up");
+      return;
+    }
+
+    downloadFile(
+      JSON.stringify(createBackup(stored), null, 2),
+      "application/json",
+      `daily-dev-streak-backup-${getDateKey()}.json`
+    );
+  });
+}
+
+/**
+ * Download the per-day history as CSV
+ */
+function handleExportHistoryCsv() {
+  loadHistory((history) => {
+    downloadFile(
+      historyToCsv(history),
+      "text/csv",
+      `daily-dev-streak-history-${getDateKey()}.csv`
+    );
+  });
+}
+
+/**
+ * Read a backup file and preview what importing it would change
+ * @param {Event} event - The change event of the file input
+ */
+function handleImportBackup(event) {
+  const file = event.target.files[0];
+  if (!file) {
+    return;
+  }
+
+  file
+    .text()
+    .then((text) => {
+      let backup;
+      try {
+        backup = JSON.parse(text);
+      } catch (error) {
+        showBackupWarning(`The file isn't valid JSON: ${error.message}`);
+        return;
+      }
+
+      const errors = validateBackup(backup);
+      if (errors.length > 0) {
+        showBackupWarning(`The backup can't be imported: ${errors.join("; ")}`);
+        return;
+      }
+
+      showBackupWarning(null);
+      pendingBackup = backup;
+      renderBackupPreview();
+    })
+    .catch((error) => {
+      console.error("Error reading backup file:", error);
+      showBackupWarning("Could not read the selected file");
+    })
+    .finally(() => {
+      event.target.value = "";
+    });
+}
+
+/**
+ * Show what importing the pending backup would change, in the chosen mode
+ */
+function renderBackupPreview() {
+  if (!pendingBackup) {
+    return;
+  }
+
+  loadBackupData((stored) => {
+    if (!stored) {
+      showBackupWarning("Could not read the stored data to compare with");
+      return;
+    }
+
+    const mode = document.getElementById("backup-import-mode").value;
+    const plan = planBackupImport(pendingBackup, stored, mode);
+
+    const tbody = document.getElementById("backup-changes");
+    tbody.innerHTML = "";
+    for (const change of plan.changes) {
+      const row = document.createElement("tr");
+      const label = document.createElement("td");
+      label.textContent = change.label;
+      const summary = document.createElement("td");
+      summary.textContent = change.summary;
+      row.append(label, summary);
+      tbody.appendChild(row);
+    }
+
+    document.getElementById("backup-preview").hidden = false;
+  });
+}
+
+/**
+ * Import the pending backup in the chosen mode
+ * The plan is worked out again so anything stored since the preview is kept.
+ */
+function handleApplyBackup() {
+  if (!pendingBackup) {
+    return;
+  }
+
+  loadBackupData((stored) => {
+    if (!stored) {
+      showBackupWarning("Could not read the stored data to compare with");
+      return;
+    }
+
+    const mode = document.getElementById("backup-import-mode").value;
+    applyBackupImport(
+      planBackupImport(pendingBackup, stored, mode),
+      (success) => {
+        if (!success) {
+          showBackupWarning("Could not import the backup");
+          return;
+        }
+
+        pendingBackup = null;
+        document.getElementById("backup-preview").hidden = true;
+        loadSettings((settings) => renderSettings(settings));
+        renderSelectorProfile();
+        showStatus("Backup imported");
+      }
+    );
+  });
+}
+
+/**
+ * Show or hide the warning in the backup section
+ * @param {string|null} message - The warning, or null to hide it
+ */
+function showBackupWarning(message) {
+  const warningEl = document.getElementById("backup-warning");
+  warningEl.hidden = !message;
+  warningEl.textContent = message || "";
+}
+
+/**
+ * Show or hide the warning above the selector profile editor
+ * @param {string|null} message - The warning, or null to hide it
+ */
+function showSelectorProfileWarning(message) {
+  const warningEl = document.getElementById("selector-profile-warning");
+  warningEl.hidden = !message;
+  warningEl.textContent = message || "";
+}
+
+/**
+ * Convert an hour and minute to the "HH:MM" value used by time inputs
+ * @param {number} hour - Hour in 24-hour format
+ * @param {number} minute - Minute
+ * @returns {string} Time input value
+ */
+function toTimeInputValue(hour, minute) {
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+/**
+ * Parse the "HH:MM" value of a time input
+ * @param {string} value - Time input value
+ * @returns {{hour: number, minute: number}|null} Parsed time, or null if invalid
+ */
+function parseTimeInputValue(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || "");
+  if (!match) {
+    return null;
+  }
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+
+  return { hour: hour, minute: minute };
+}
+
+/**
+ * Show a status message below the page controls
+ * @param {string} message - The message to display
+ * @param {boolean} [isError=false] - Whether the message reports an error
+ */
+function showStatus(message, isError = false) {
+  const statusEl = document.getElementById("options-status");
+  if (!statusEl) {
+    return;
+  }
+
+  statusEl.hidden = false;
+  statusEl.textContent = message;
+  statusEl.classList.toggle("status-warning", isError);
+  statusEl.classList.toggle("status-success", !isError);
+}
@@ -5,10 +5,21 @@
  * - Displays the current streak count
  * - Shows whether the streak has been maintained today
  * - Provides a button to visit daily.dev if needed
+ * - Lists the configured reminder and failsafe times
+ * - Shows a month calendar of maintained and missed days
+ * - Shows which article the extension read today and why
+ * - Shows how you last responded to a reminder today
+ * - Shows when a pause ends and lets you resume early
+ * - Shows which days daily.dev counts and the streak freezes left
+ * - Shows the latest failure with a link to the diagnostics page
+ * - Links to the statistics page
  */
 
 "use strict";
 
+// Month shown in the history calendar, relative to the current month
+let calendarMonthOffset = 0;
+
 /**
  * Initialize the popup when the DOM is fully loaded
  */
@@ -23,7 +34,17 @@ function initializePopup() {
   try {
     // Get streak information from storage
     chrome.storage.local.get(
-      ["streak", "lastVisit", "syncedWithDailyDev", "lastSyncTime"],
+      [
+        "streak",
+        "lastVisit",
+        "syncedWithDailyDev",
+        "lastSyncTime",
+        "autoReadArticle",
+        "reminderResponse",
+        "autoReadGaveUp",
+        SETTINGS_KEY,
+        STREAK_RULES_KEY,
+      ],
       (result) => {
         if (chrome.runtime.lastError) {
           console.error("Error accessing storage:", chrome.runtime.lastError);
@@ -34,6 +55,44 @@ function initializePopup() {
         updateStreakDisplay(result);
       }
     );
+
+    loadSettings((settings) => {
+      // Show the configured reminder and failsafe times
+      updateScheduleInfo(settings);
+
+      // Show daily.dev's streak rules and the per-day history calendar
+      loadStreakRules((rules) => {
+        updateStreakRulesInfo(rules);
+
+        loadHistory((history) => {
+          renderHistoryCalendar(history, settings, rules);
+        });
+      });
+    });
+
+    // Point out the latest failure so it can be looked into
+    loadActivityLog((log) => {
+      const failure = getLatestFailure(log);
+      if (failure) {
+        updateLastFailure(failure);
+      }
+    });
+
+    const settingsLink = document.getElementById("open-settings");
+    if (settingsLink) {
+      settingsLink.addEventListener("click", () => {
+        chrome.runtime.openOptionsPage();
+      });
+    }
+
+    const statsLink = document.getElementById("open-stats");
+    if (statsLink) {
+      statsLink.addEventListener("click", () => {
+        chrome.tabs.create({
+          url: chrome.runtime.getURL("src/html/stats.html"),
+        });
+      });
+    }
   } catch (error) {
     console.error("Error initializing popup:", error);
     showError("An error occurred while loading the popup");
@@ -155,15 +214,43 @@ function updateStreakDisplay(streakData) {
       }
     }
 
-    // Get today's date for comparison
-    const today = new Date().toDateString();
+    // Get today's streak day for comparison
+    const settings = mergeSettings(streakData[SETTINGS_KEY]);
+    const today = getStreakDayString(settings);
     const statusEl = document.getElementById("status-message");
+    const pauseEnd = getPauseEnd(settings, getDateKey(getStreakDate(settings)));
+    const rules = mergeStreakRules(streakData[STREAK_RULES_KEY]);
 
     // Check if streak has been maintained today
     if (streakData.lastVisit === today) {
       updateStatusForCompletedStreak(statusEl, streakData.syncedWithDailyDev);
+    } else if (pauseEnd) {
+      updateStatusForPause(statusEl, pauseEnd);
+    } else if (!isReadingDay(rules, getStreakDate(settings))) {
+      updateStatusForDayOff(statusEl);
     } else {
-      updateStatusForIncompleteStreak(statusEl);
+      updateStatusForIncompleteStreak(
+        statusEl,
+        streakData.autoReadGaveUp === today
+      );
+    }
+
+    // Show the article the extension read today, if any
+    const article = streakData.autoReadArticle;
+    if (article && article.day === today) {
+      updateTodayArticle(article);
+    }
+
+    // Show how the user last responded to a reminder today, if they did
+    const reminderResponse = streakData.reminderResponse;
+    if (
+      reminderResponse &&
+      reminderResponse.day === today &&
+      reminderResponse.responses.length > 0
+    ) {
+      updateReminderResponse(
+        reminderResponse.responses[reminderResponse.responses.length - 1]
+      );
     }
   } catch (error) {
     console.error("Error updating streak display:", error);
@@ -171,6 +258,327 @@ function updateStreakDisplay(streakData) {
   }
 }
 
+/**
+ * Show the article the extension read today and why it was picked
+ * @param {Object} article - The stored auto-read article
+ */
+function updateTodayArticle(article) {
+  const articleEl = document.getElementById("today-article");
+  if (!articleEl) {
+    return;
+  }
+
+  articleEl.textContent = "Read today: ";
+
+  const link = document.createElement("a");
+  link.href = article.url;
+  link.target = "_blank";
+  link.textContent = article.title || article.url;
+  articleEl.appendChild(link);
+
+  if (article.source) {
+    articleEl.appendChild(document.createTextNode(` (${article.source})`));
+  }
+
+  const reasonEl = document.createElement("div");
+  reasonEl.className = "today-article-reason";
+  reasonEl.textContent = article.reason;
+  articleEl.appendChild(reasonEl);
+
+  articleEl.hidden = false;
+}
+
+/**
+ * Describe the user's latest response to a reminder notification
+ * @param {Object} response - The latest recorded response
+ */
+function updateReminderResponse(response) {
+  const responseEl = document.getElementById("reminder-response");
+  if (!responseEl) {
+    return;
+  }
+
+  const time = new Date(response.time).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+  if (response.action === "opened") {
+    responseEl.textContent = `You opened daily.dev from a reminder at ${time}`;
+  } else if (response.action === "snoozed") {
+    responseEl.textContent = `You snoozed the reminder until ${new Date(
+      response.until
+    ).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })}`;
+  } else if (response.action === "deferred") {
+    responseEl.textContent = `At ${time} you left today to the failsafe, so no more reminders today`;
+  } else {
+    return;
+  }
+
+  responseEl.hidden = false;
+}
+
+/**
+ * Show the latest failure, linking to its entry on the diagnostics page
+ * @param {Object} failure - The latest failed activity log entry
+ */
+function updateLastFailure(failure) {
+  const failureEl = document.getElementById("last-failure");
+  if (!failureEl) {
+    return;
+  }
+
+  failureEl.textContent = `Last failure (${new Date(
+    failure.time
+  ).toLocaleString()}): ${failure.message} `;
+
+  const link = document.createElement("a");
+  link.textContent = "Details";
+  link.addEventListener("click", () => {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(
+        `src/html/diagnostics.html?entry=${failure.time}`
+      ),
+    });
+  });
+  failureEl.appendChild(link);
+
+  failureEl.hidden = false;
+}
+
+/**
+ * Render a month calendar of the per-day history
+ * @param {Object} history - History entries keyed by date
+ * @param {Object} settings - The settings object, used to work out today
+ * @param {Object} rules - The streak rules, used to find days daily.dev doesn't count
+ */
+function renderHistoryCalendar(history, settings, rules) {
+  try {
+    const container = document.getElementById("history-calendar");
+    if (!container) {
+      return;
+    }
+    container.textContent = "";
+
+    const now = getStreakDate(settings);
+    const todayKey = getDateKey(now);
+    const firstKey = Object.keys(history).sort()[0] || todayKey;
+    const month = new Date(
+      now.getFullYear(),
+      now.getMonth() + calendarMonthOffset,
+      1
+    );
+
+    // Header with the month name and navigation buttons
+    const header = document.createElement("div");
+    header.className = "calendar-header";
+
+    const prevButton = document.createElement("button");
+    prevButton.className = "calendar-nav";
+    prevButton.textContent = "‹";
+    prevButton.title = "Previous month";
+    prevButton.disabled = getDateKey(month) <= firstKey;
+    prevButton.addEventListener("click", () => {
+      calendarMonthOffset--;
+      renderHistoryCalendar(history, settings, rules);
+    });
+
+    const title = document.createElement("span");
+    title.textContent = month.toLocaleDateString("en-US", {
+      month: "long",
+      year: "numeric",
+    });
+
+    const nextButton = document.createElement("button");
+    nextButton.className = "calendar-nav";
+    nextButton.textContent = "›";
+    nextButton.title = "Next month";
+    nextButton.disabled = calendarMonthOffset >= 0;
+    nextButton.addEventListener("click", () => {
+      calendarMonthOffset++;
+      renderHistoryCalendar(history, settings, rules);
+    });
+
+    header.appendChild(prevButton);
+    header.appendChild(title);
+    header.appendChild(nextButton);
+    container.appendChild(header);
+
+    // Grid of weekday labels followed by the days of the month
+    const grid = document.createElement("div");
+    grid.className = "calendar-grid";
+
+    for (const weekday of ["S", "M", "T", "W", "T", "F", "S"]) {
+      const label = document.createElement("div");
+      label.className = "calendar-weekday";
+      label.textContent = weekday;
+      grid.appendChild(label);
+    }
+
+    for (let i = 0; i < month.getDay(); i++) {
+      grid.appendChild(document.createElement("div"));
+    }
+
+    const date = new Date(month);
+    while (date.getMonth() === month.getMonth()) {
+      const key = getDateKey(date);
+      const entry = history[key];
+
+      const cell = document.createElement("div");
+      cell.className = `calendar-day ${getHistoryDayClass(
+        key,
+        entry,
+        todayKey,
+        firstKey,
+        settings,
+        rules
+      )}`;
+      cell.textContent = date.getDate();
+      cell.title = describeHistoryDay(date, entry);
+      grid.appendChild(cell);
+
+      date.setDate(date.getDate() + 1);
+    }
+
+    container.appendChild(grid);
+  } catch (error) {
+    console.error("Error rendering history calendar:", error);
+  }
+}
+
+/**
+ * Pick the calendar class for a day
+ * @param {string} key - The day's date key
+ * @param {Object|undefined} entry - The day's history entry
+ * @param {string} todayKey - Today's date key
+ * @param {string} firstKey - Date key of the earliest recorded day
+ * @param {Object} settings - The settings object, used to find paused days
+ * @param {Object} rules - The streak rules, used to find days daily.dev doesn't count
+ * @returns {string} CSS class describing the day
+ */
+function getHistoryDayClass(key, entry, todayKey, firstKey, settings, rules) {
+  if (entry && entry.maintained) {
+    return "day-maintained";
+  }
+  if ((entry && entry.paused) || getPauseRange(settings, key)) {
+    return "day-paused";
+  }
+  if (entry && entry.frozen) {
+    return "day-frozen";
+  }
+  if (key > todayKey) {
+    return "day-future";
+  }
+  if (key === todayKey) {
+    return "day-pending";
+  }
+  if (key < firstKey) {
+    return "day-empty";
+  }
+  const [year, month, day] = key.split("-").map(Number);
+  if (!isReadingDay(rules, new Date(year, month - 1, day))) {
+    return "day-off";
+  }
+  return "day-missed";
+}
+
+/**
+ * Describe a day's history entry for the calendar tooltip
+ * @param {Date} date - The day
+ * @param {Object|undefined} entry - The day's history entry
+ * @returns {string} Tooltip text
+ */
+function describeHistoryDay(date, entry) {
+  const dateString = date.toDateString();
+  if (entry && entry.paused && !entry.maintained) {
+    return `${dateString}: paused`;
+  }
+  if (entry && entry.frozen && !entry.maintained) {
+    return `${dateString}: covered by a streak freeze`;
+  }
+  if (!entry || !entry.maintained) {
+    return `${dateString}: not maintained`;
+  }
+
+  const details = [];
+  if (entry.time) {
+    details.push(`at ${new Date(entry.time).toLocaleTimeString()}`);
+  }
+  if (entry.streakCount !== null && entry.streakCount !== undefined) {
+    details.push(
+      `streak ${entry.streakCount}${
+        entry.syncedWithDailyDev ? " (from daily.dev)" : ""
+      }`
+    );
+  }
+  if (entry.method in HISTORY_METHODS) {
+    details.push(HISTORY_METHODS[entry.method].toLowerCase());
+  }
+
+  return `${dateString}: maintained${
+    details.length > 0 ? ` ${details.join(", ")}` : ""
+  }`;
+}
+
+/**
+ * Describe the configured reminder and failsafe times in the info list
+ * @param {Object} settings - The settings object
+ */
+function updateScheduleInfo(settings) {
+  try {
+    const reminders = getEnabledReminders(settings.reminders);
+    const failsafes = getEnabledScheduleEntries(settings.schedule, "Failsafe");
+
+    const reminderInfo = document.getElementById("reminder-info");
+    if (reminderInfo) {
+      reminderInfo.textContent =
+        reminders.length > 0
+          ? `Sending reminders at ${formatTimeList(reminders)} if needed`
+          : "Reminders are turned off";
+    }
+
+    const failsafeInfo = document.getElementById("failsafe-info");
+    if (failsafeInfo) {
+      failsafeInfo.textContent =
+        failsafes.length > 0
+          ? `Automatically maintaining your streak at ${formatTimeList(
+              failsafes
+            )} if you haven't visited`
+          : "The automatic failsafe is turned off";
+    }
+  } catch (error) {
+    console.error("Error showing schedule info:", error);
+  }
+}
+
+/**
+ * Describe the days daily.dev counts and the streak freezes left in the info list
+ * @param {Object} rules - The streak rules
+ */
+function updateStreakRulesInfo(rules) {
+  try {
+    const rulesInfo = document.getElementById("streak-rules-info");
+    if (!rulesInfo) {
+      return;
+    }
+
+    rulesInfo.textContent =
+      rules.readingDays.length === 7
+        ? "Counting every day towards your streak"
+        : `Only acting on ${describeReadingDays(
+            rules
+          )}, the days daily.dev counts`;
+
+    if (rules.freezes !== null) {
+      rulesInfo.textContent += ` (${rules.freezes} streak freeze${
+        rules.freezes === 1 ? "" : "s"
+      } left)`;
+    }
+  } catch (error) {
+    console.error("Error showing streak rules:", error);
+  }
+}
+
 /**
  * Update the status message for a completed streak
  * @param {HTMLElement} statusElement - The status message element
@@ -183,12 +591,82 @@ function updateStatusForCompletedStreak(statusElement, isSynced) {
   statusElement.classList.add("status-success");
 }
 
+/**
+ * Update the status message on a day daily.dev doesn't count
+ * @param {HTMLElement} statusElement - The status message element
+ */
+function updateStatusForDayOff(statusElement) {
+  statusElement.textContent =
+    "daily.dev doesn't count today, so there are no reminders or failsafes. Reading still adds to your streak.";
+  statusElement.classList.add("status-paused");
+}
+
+/**
+ * Update the status message while the extension is paused
+ * @param {HTMLElement} statusElement - The status message element
+ * @param {string} pauseEnd - The last paused day ("YYYY-MM-DD")
+ */
+function updateStatusForPause(statusElement, pauseEnd) {
+  const [year, month, day] = pauseEnd.split("-").map(Number);
+  const resumeDate = new Date(year, month - 1, day + 1);
+
+  statusElement.textContent = `Paused: no auto-reads, reminders or failsafes until ${resumeDate.toDateString()}`;
+  statusElement.classList.add("status-paused");
+
+  const resumeButton = document.createElement("button");
+  resumeButton.textContent = "Resume now";
+  resumeButton.className = "btn btn-block";
+  resumeButton.addEventListener("click", () => {
+    resumeButton.disabled = true;
+    resumeFromPause(() => {
+      window.location.reload();
+    });
+  });
+
+  statusElement.appendChild(document.createElement("br"));
+  statusElement.appendChild(resumeButton);
+}
+
+/**
+ * End the current pause today, keeping earlier paused days in the past
+ * @param {function(): void} callback - Called once the settings are saved
+ */
+function resumeFromPause(callback) {
+  loadSettings((settings) => {
+    const today = getStreakDate(settings);
+    const todayKey = getDateKey(today);
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const pauseEnd = getPauseEnd(settings, todayKey);
+
+    const ranges = [];
+    for (const range of settings.pause.ranges) {
+      if (range.end < todayKey || range.start > pauseEnd) {
+        ranges.push(range);
+      } else if (range.start < todayKey) {
+        ranges.push({ start: range.start, end: getDateKey(yesterday) });
+      }
+    }
+
+    saveSettings({ ...settings, pause: { ranges: ranges } }, (success) => {
+      if (!success) {
+        showError("Could not resume");
+        return;
+      }
+      callback();
+    });
+  });
+}
+
 /**
  * Update the status message for an incomplete streak
  * @param {HTMLElement} statusElement - The status message element
+ * @param {boolean} autoReadGaveUp - Whether the auto-read couldn't verify a read today and stopped trying
  */
-function updateStatusForIncompleteStreak(statusElement) {
-  statusElement.textContent = "You need to visit daily.dev today!";
+function updateStatusForIncompleteStreak(statusElement, autoReadGaveUp) {
+  statusElement.textContent = autoReadGaveUp
+    ? "The auto-read couldn't confirm a read today and won't try again on its own. Read an article yourself or try again."
+    : "You need to visit daily.dev today!";
   statusElement.classList.add("status-warning");
 
   // Add a button to visit daily.dev
@@ -196,6 +674,33 @@ function updateStatusForIncompleteStreak(statusElement) {
 
   statusElement.appendChild(document.createElement("br"));
   statusElement.appendChild(visitButton);
+
+  if (autoReadGaveUp) {
+    statusElement.appendChild(createRetryAutoReadButton());
+  }
+}
+
+/**
+ * Create a button that lets the auto-read try again today
+ * @returns {HTMLButtonElement} The created button
+ */
+function createRetryAutoReadButton() {
+  const retryButton = document.createElement("button");
+  retryButton.textContent = "Try the auto-read again";
+  retryButton.className = "btn btn-block btn-secondary";
+
+  retryButton.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "retryAutoRead" }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error("Error retrying auto-read:", chrome.runtime.lastError);
+        showError("Could not start the auto-read");
+        return;
+      }
+      window.close();
+    });
+  });
+
+  return retryButton;
 }
 
 /**
@@ -0,0 +1,127 @@
+/**
+ * Daily.dev Streak Keeper - Streak Rules
+ *
+ * Shared helpers for daily.dev's own streak rules, read from daily.dev by the sync:
+ * - Defines the default rules, used until daily.dev has been synced
+ * - Loads and saves the stored rules
+ * - Works out which days count towards the streak and which were missed
+ */
+
+"use strict";
+
+// Storage key holding the streak rules last read from daily.dev
+const STREAK_RULES_KEY = "streakRules";
+
+// Rules used for anything not read from daily.dev yet
+const DEFAULT_STREAK_RULES = {
+  // Weekdays (0 = Sunday) daily.dev counts towards the streak
+  readingDays: [0, 1, 2, 3, 4, 5, 6],
+  // Streak freezes left on daily.dev (null if unknown)
+  freezes: null,
+  // When the rules were last read from daily.dev (ms since epoch, null if never)
+  syncedAt: null,
+};
+
+/**
+ * Merge stored rules over the defaults, dropping values that can't be used
+ * @param {Object} [stored] - Rules object read from storage
+ * @returns {Object} Complete rules object
+ */
+function mergeStreakRules(stored) {
+  const merged = { ...DEFAULT_STREAK_RULES, ...(stored || {}) };
+
+  // Without a single counted day the streak could never be kept
+  if (!Array.isArray(merged.readingDays) || merged.readingDays.length === 0) {
+    merged.readingDays = DEFAULT_STREAK_RULES.readingDays;
+  }
+
+  return merged;
+}
+
+/**
+ * Load the streak rules from storage, falling back to the defaults on error
+ * @param {function(Object): void} callback - Receives the merged rules
+ */
+function loadStreakRules(callback) {
+  chrome.storage.local.get([STREAK_RULES_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading streak rules:", chrome.runtime.lastError);
+      callback(mergeStreakRules(null));
+      return;
+    }
+
+    callback(mergeStreakRules(result[STREAK_RULES_KEY]));
+  });
+}
+
+/**
+ * Save the streak rules to storage
+ * @param {Object} rules - The rules to save
+ * @param {function(boolean): void} [callback] - Receives whether the save succeeded
+ */
+function saveStreakRules(rules, callback) {
+  chrome.storage.local.set(
+    { [STREAK_RULES_KEY]: mergeStreakRules(rules) },
+    () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving streak rules:", chrome.runtime.lastError);
+        if (callback) callback(false);
+        return;
+      }
+
+      if (callback) callback(true);
+    }
+  );
+}
+
+/**
+ * Check whether daily.dev counts a day towards the streak
+ * @param {Object} rules - The streak rules
+ * @param {Date} date - The streak day (local midnight, as from getStreakDate)
+ * @returns {boolean} Whether missing the day would break the streak
+ */
+function isReadingDay(rules, date) {
+  return rules.readingDays.includes(date.getDay());
+}
+
+/**
+ * List the counted days between two streak days, both excluded
+ * @param {Object} rules - The streak rules
+ * @param {Date} lastDate - The last streak day that was maintained
+ * @param {Date} today - The current streak day
+ * @returns {Date[]} Counted days nothing was read on, oldest first
+ */
+function getMissedReadingDays(rules, lastDate, today) {
+  const missed = [];
+
+  const date = new Date(lastDate);
+  date.setDate(date.getDate() + 1);
+  while (date < today) {
+    if (isReadingDay(rules, date)) {
+      missed.push(new Date(date));
+    }
+    date.setDate(date.getDate() + 1);
+  }
+
+  return missed;
+}
+
+/**
+ * Describe the counted weekdays (e.g., "Mon, Tue, Wed, Thu and Fri")
+ * Needs settings.js for WEEKDAY_NAMES.
+ * @param {Object} rules - The streak rules
+ * @returns {string} The counted weekdays, or "every day"
+ */
+function describeReadingDays(rules) {
+  if (rules.readingDays.length === 7) {
+    return "every day";
+  }
+
+  const names = [...rules.readingDays]
+    .sort((a, b) => a - b)
+    .map((day) => WEEKDAY_NAMES[day]);
+  if (names.length === 1) {
+    return names[0];
+  }
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
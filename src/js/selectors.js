@@ -0,0 +1,164 @@
+/**
+ * Daily.dev Streak Keeper - Selector Profiles
+ *
+ * Shared helpers for the selectors used to find articles and the streak count:
+ * - Defines the built-in selector profile, including where daily.dev shows its
+ *   reading days and streak freezes
+ * - Validates user-edited profiles
+ * - Loads the active profile, falling back to the built-in one if it's invalid
+ */
+
+"use strict";
+
+// Storage key holding the user's custom selector profile (absent = built-in)
+const SELECTOR_PROFILE_KEY = "selectorProfile";
+
+// Built-in selectors matching daily.dev's current markup
+const DEFAULT_SELECTOR_PROFILE = {
+  name: "Built-in",
+  // Selectors for article cards on the feed, tried in order
+  articleSelectors: [
+    "article",
+    '[data-testid="post-card"]',
+    ".post-card",
+    ".card",
+    'a[href*="/posts/"]',
+  ],
+  // Selector for the post link inside an article card
+  articleLinkSelector: 'a[href*="/posts/"]',
+  // Selectors for the title, source and tags inside an article card
+  articleTitleSelector: 'h3, h2, [class*="title" i]',
+  articleSourceSelector:
+    '[data-testid="source-name"], a[href*="/sources/"], img[alt][class*="source" i]',
+  articleTagSelector: 'a[href*="/tags/"], [class*="tag" i]',
+  // Selector for daily.dev's "read today" mark on the streak counter; it must
+  // only match the positive mark, since labels such as "You haven't read
+  // today" would count the day as read
+  readTodaySelector:
+    '[data-testid="reading-streak-header-button"] [class*="read-today" i]',
+  // Selector for the weekdays in daily.dev's streak popup; labels naming a
+  // weekday and "day off" (or similar) mark days that don't count
+  readingDaySelector:
+    '[data-testid*="streak-day" i], [class*="streak-day" i], [aria-label*="day off" i]',
+  // Selector for the number of streak freezes left
+  streakFreezeSelector:
+    '[data-testid*="streak-freeze" i], [aria-label*="freeze" i], [class*="freeze" i]',
+  // Selectors used by each streak extraction strategy
+  streakSelectors: {
+    testId: [
+      '[data-testid="reading-streak-header-button"]',
+      "#reading-streak-header-button",
+      '[data-testid="streak-count"]',
+    ],
+    ariaLabel: ['[aria-label*="streak" i]', '[title*="streak" i]'],
+    classHeuristics: ['[class*="streak" i]', '[id*="streak" i]'],
+  },
+};
+
+/**
+ * Check that a value is a non-empty array of non-empty strings
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is a usable selector list
+ */
+function isSelectorList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => typeof item === "string" && item.trim() !== "")
+  );
+}
+
+/**
+ * Validate the shape of a selector profile
+ * @param {*} profile - The profile to validate
+ * @returns {string[]} Problems found (empty if the profile is valid)
+ */
+function validateSelectorProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    return ["The profile must be a JSON object"];
+  }
+
+  if (!isSelectorList(profile.articleSelectors)) {
+    errors.push('"articleSelectors" must be a non-empty list of selectors');
+  }
+
+  if (
+    typeof profile.articleLinkSelector !== "string" ||
+    profile.articleLinkSelector.trim() === ""
+  ) {
+    errors.push('"articleLinkSelector" must be a selector');
+  }
+
+  // The card detail, read-today and streak rule selectors are optional; older
+  // profiles don't have them
+  for (const field of [
+    "articleTitleSelector",
+    "articleSourceSelector",
+    "articleTagSelector",
+    "readTodaySelector",
+    "readingDaySelector",
+    "streakFreezeSelector",
+  ]) {
+    if (
+      profile[field] !== undefined &&
+      (typeof profile[field] !== "string" || profile[field].trim() === "")
+    ) {
+      errors.push(`"${field}" must be a selector if it is set`);
+    }
+  }
+
+  const streakSelectors = profile.streakSelectors;
+  if (!streakSelectors || typeof streakSelectors !== "object") {
+    errors.push('"streakSelectors" must be an object');
+  } else {
+    for (const strategy of Object.keys(
+      DEFAULT_SELECTOR_PROFILE.streakSelectors
+    )) {
+      if (!isSelectorList(streakSelectors[strategy])) {
+        errors.push(
+          `"streakSelectors.${strategy}" must be a non-empty list of selectors`
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load the active selector profile
+ * An invalid stored profile is ignored in favour of the built-in one.
+ * @param {function(Object, string|null): void} callback - Receives the profile and a warning, if the stored profile was rejected
+ */
+function loadSelectorProfile(callback) {
+  chrome.storage.local.get([SELECTOR_PROFILE_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error(
+        "Error loading selector profile:",
+        chrome.runtime.lastError
+      );
+      callback(DEFAULT_SELECTOR_PROFILE, null);
+      return;
+    }
+
+    const stored = result[SELECTOR_PROFILE_KEY];
+    if (!stored) {
+      callback(DEFAULT_SELECTOR_PROFILE, null);
+      return;
+    }
+
+    const errors = validateSelectorProfile(stored);
+    if (errors.length > 0) {
+      const warning = `The custom selector profile is invalid, using the built-in one instead: ${errors.join(
+        "; "
+      )}`;
+      console.warn(warning);
+      callback(DEFAULT_SELECTOR_PROFILE, warning);
+      return;
+    }
+
+    callback(stored, null);
+  });
+}
@@ -0,0 +1,341 @@
+/**
+ * Daily.dev Streak Keeper - Settings
+ *
+ * Shared settings helpers used by the background script, popup and options page:
+ * - Defines the default schedule for the sync and failsafe alarms
+ * - Defines the default reminders and fills in their message templates
+ * - Loads stored settings merged over the defaults
+ * - Finds the pause range covering a day
+ * - Formats schedule times for display
+ */
+
+"use strict";
+
+// Storage key holding the user's settings
+const SETTINGS_KEY = "settings";
+
+// Default settings, used for anything the user hasn't configured.
+// Schedule entries are keyed by the name of the alarm they control.
+const DEFAULT_SETTINGS = {
+  // Timezone daily.dev counts streak days in ("" uses the browser's timezone)
+  timezone: "",
+  // Hour (0-23) at which a new streak day starts in that timezone
+  dayRolloverHour: 0,
+  // What the auto-read should pick (lists of lowercase words or names)
+  articlePreferences: {
+    preferredTags: [],
+    preferredKeywords: [],
+    blockedSources: [],
+    blockedKeywords: [],
+  },
+  // How long to stay on the article before the read counts
+  readingSession: {
+    dwellSeconds: 30,
+    scroll: true,
+    // Articles to try before giving up when the streak doesn't go up
+    maxAttempts: 3,
+  },
+  // How the failsafe opens daily.dev: "active" (a tab that takes focus),
+  // "background" (a tab behind the current one) or "minimized" (a minimized
+  // window)
+  failsafe: {
+    presentation: "background",
+    // Close the tab or window once the read is confirmed, unless it was used
+    closeWhenDone: true,
+  },
+  // What a new tab shows: "always" (daily.dev), "untilDone" (daily.dev until
+  // today's streak is done), "never" (never daily.dev) or "dashboard" (the
+  // streak dashboard)
+  newTab: {
+    mode: "untilDone",
+    // Page shown instead of daily.dev: "default" (Chrome's) or "blank"
+    fallback: "default",
+  },
+  schedule: {
+    forceStreakSync: { enabled: true, hour: 18, minute: 0 }, // 6:00 PM
+    firstStreakFailsafe: { enabled: true, hour: 20, minute: 0 }, // 8:00 PM
+    secondStreakFailsafe: { enabled: true, hour: 22, minute: 15 }, // 10:15 PM
+  },
+  // Days the extension is paused: no auto-clicks, syncs, reminders or failsafes
+  pause: {
+    // Inclusive ranges of streak days, { start, end } as "YYYY-MM-DD"
+    ranges: [],
+  },
+  // When reminders are held back; failsafes always run regardless
+  quietHours: {
+    // Weekdays (0 = Sunday) on which reminders are sent at all
+    reminderDays: [0, 1, 2, 3, 4, 5, 6],
+    // Windows during which reminders wait until the window ends; each is
+    // { days, startHour, startMinute, endHour, endMinute } and may cross midnight
+    windows: [],
+  },
+  // Most detailed console messages to write: "error", "warn", "info" or
+  // "debug" (which adds selector match counts and timings)
+  logLevel: "warn",
+  // Reminder notifications; messages are templates (see REMINDER_PLACEHOLDERS)
+  reminders: [
+    {
+      id: "first",
+      enabled: true,
+      hour: 19, // 7:00 PM
+      minute: 0,
+      urgency: "normal",
+      message:
+        "Don't forget to visit daily.dev today to keep your {streak} day streak! Next failsafe: {failsafeTime}.",
+    },
+    {
+      id: "second",
+      enabled: true,
+      hour: 22, // 10:00 PM
+      minute: 0,
+      urgency: "urgent",
+      message:
+        "Only {minutesLeft} minutes left to keep your {streak} day streak! Next failsafe: {failsafeTime}.",
+    },
+  ],
+};
+
+// Human-readable names for each schedule entry
+const SCHEDULE_LABELS = {
+  forceStreakSync: "Streak sync",
+  firstStreakFailsafe: "First failsafe",
+  secondStreakFailsafe: "Second failsafe",
+};
+
+// Prefix of the alarm names of reminders, followed by the reminder's id
+const REMINDER_ALARM_PREFIX = "reminder-";
+
+// Short weekday names, indexed like Date.getDay()
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Urgency levels a reminder can have, with their notification priority
+const REMINDER_URGENCIES = {
+  low: { label: "Low", priority: 0 },
+  normal: { label: "Normal", priority: 1 },
+  urgent: { label: "Urgent", priority: 2 },
+};
+
+// Placeholders reminder message templates can use
+const REMINDER_PLACEHOLDERS = {
+  streak: "Your current streak count",
+  failsafeTime: "Time of the next failsafe today",
+  minutesLeft: "Minutes until the streak day ends",
+};
+
+// Older settings stored the two fixed reminders in the schedule
+const LEGACY_REMINDER_NAMES = {
+  firstStreakReminder: "first",
+  secondStreakReminder: "second",
+};
+
+/**
+ * Merge stored settings over the defaults so every expected field is present
+ * @param {Object} [stored] - Settings object read from storage
+ * @returns {Object} Complete settings object
+ */
+function mergeSettings(stored) {
+  const source = stored || {};
+  const merged = { ...DEFAULT_SETTINGS, ...source };
+
+  // Merge grouped settings field by field so new fields get their defaults
+  for (const [key, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    if (defaults && typeof defaults === "object" && !Array.isArray(defaults)) {
+      merged[key] = { ...defaults, ...(source[key] || {}) };
+    }
+  }
+
+  // Schedule entries are objects themselves, so merge them one level deeper
+  const storedSchedule = source.schedule || {};
+  const schedule = {};
+  for (const name of Object.keys(DEFAULT_SETTINGS.schedule)) {
+    schedule[name] = {
+      ...DEFAULT_SETTINGS.schedule[name],
+      ...(storedSchedule[name] || {}),
+    };
+  }
+  merged.schedule = schedule;
+
+  merged.reminders = mergeReminders(source);
+
+  return merged;
+}
+
+/**
+ * Merge stored reminders over the reminder defaults
+ * Settings saved before reminders became a list keep their two reminder times.
+ * @param {Object} source - Settings object read from storage
+ * @returns {Array<Object>} Complete reminder list
+ */
+function mergeReminders(source) {
+  if (Array.isArray(source.reminders)) {
+    return source.reminders.map((reminder, index) => ({
+      enabled: true,
+      hour: 19,
+      minute: 0,
+      urgency: "normal",
+      message: DEFAULT_SETTINGS.reminders[0].message,
+      ...reminder,
+      id: (reminder && reminder.id) || `reminder${index + 1}`,
+    }));
+  }
+
+  const storedSchedule = source.schedule || {};
+  return DEFAULT_SETTINGS.reminders.map((reminder) => {
+    const legacyName = Object.keys(LEGACY_REMINDER_NAMES).find(
+      (name) => LEGACY_REMINDER_NAMES[name] === reminder.id
+    );
+    return { ...reminder, ...(storedSchedule[legacyName] || {}) };
+  });
+}
+
+/**
+ * Load the settings from storage, falling back to the defaults on error
+ * @param {function(Object): void} callback - Receives the merged settings
+ */
+function loadSettings(callback) {
+  chrome.storage.local.get([SETTINGS_KEY], (result) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading settings:", chrome.runtime.lastError);
+      callback(mergeSettings(null));
+      return;
+    }
+
+    callback(mergeSettings(result[SETTINGS_KEY]));
+  });
+}
+
+/**
+ * Save the settings to storage
+ * @param {Object} settings - The settings to save
+ * @param {function(boolean): void} [callback] - Receives whether the save succeeded
+ */
+function saveSettings(settings, callback) {
+  chrome.storage.local.set({ [SETTINGS_KEY]: mergeSettings(settings) }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving settings:", chrome.runtime.lastError);
+      if (callback) callback(false);
+      return;
+    }
+
+    if (callback) callback(true);
+  });
+}
+
+/**
+ * Get the enabled schedule entries of one kind, sorted by time of day
+ * @param {Object} schedule - The schedule from the settings
+ * @param {string} kind - Alarm name suffix to match (e.g., "Failsafe")
+ * @returns {Array<{name: string, hour: number, minute: number}>} Matching entries
+ */
+function getEnabledScheduleEntries(schedule, kind) {
+  return Object.keys(schedule)
+    .filter((name) => name.endsWith(kind) && schedule[name].enabled)
+    .map((name) => ({ name: name, ...schedule[name] }))
+    .sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
+}
+
+/**
+ * Find the pause range covering a day
+ * @param {Object} settings - The settings object
+ * @param {string} dateKey - The streak day to check ("YYYY-MM-DD")
+ * @returns {{start: string, end: string}|null} The covering range, or null if the day isn't paused
+ */
+function getPauseRange(settings, dateKey) {
+  return (
+    settings.pause.ranges.find(
+      (range) => range.start <= dateKey && dateKey <= range.end
+    ) || null
+  );
+}
+
+/**
+ * Get the last paused day of the pause covering a day
+ * Ranges that follow on from each other count as one pause. Needs history.js
+ * for getDateKey.
+ * @param {Object} settings - The settings object
+ * @param {string} dateKey - The streak day to check ("YYYY-MM-DD")
+ * @returns {string|null} The last paused day ("YYYY-MM-DD"), or null if the day isn't paused
+ */
+function getPauseEnd(settings, dateKey) {
+  let range = getPauseRange(settings, dateKey);
+  let end = null;
+
+  while (range && (end === null || range.end > end)) {
+    end = range.end;
+
+    // Continue into a range covering the day after this one ends
+    const [year, month, day] = end.split("-").map(Number);
+    range = getPauseRange(
+      settings,
+      getDateKey(new Date(year, month - 1, day + 1))
+    );
+  }
+
+  return end;
+}
+
+/**
+ * Get the enabled reminders as schedule entries, sorted by time of day
+ * @param {Array<Object>} reminders - The reminders from the settings
+ * @returns {Array<Object>} Enabled reminders, each with its alarm name as "name"
+ */
+function getEnabledReminders(reminders) {
+  return reminders
+    .filter((reminder) => reminder.enabled)
+    .map((reminder) => ({
+      name: `${REMINDER_ALARM_PREFIX}${reminder.id}`,
+      ...reminder,
+    }))
+    .sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
+}
+
+/**
+ * Fill in the placeholders of a reminder message template
+ * Unknown placeholders are left as they are.
+ * @param {string} template - The message template (e.g., "{streak} days!")
+ * @param {Object} values - Placeholder values keyed by placeholder name
+ * @returns {string} The message
+ */
+function fillReminderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] !== undefined && values[name] !== null
+      ? String(values[name])
+      : placeholder
+  );
+}
+
+/**
+ * Format a time in 24-hour format to a user-friendly string (e.g., "8:00 PM")
+ * @param {number} hour - Hour in 24-hour format
+ * @param {number} minute - Minute
+ * @returns {string} Formatted time string
+ */
+function formatTime(hour, minute) {
+  try {
+    const date = new Date();
+    date.setHours(hour, minute, 0, 0);
+
+    // Format the time as "h:mm A" (e.g., "8:00 PM")
+    return date.toLocaleTimeString("en-US", {
+      hour: "numeric",
+      minute: "2-digit",
+      hour12: true,
+    });
+  } catch (error) {
+    console.error("Error formatting time:", error);
+    return `${hour}:${minute < 10 ? "0" + minute : minute}`;
+  }
+}
+
+/**
+ * Format a list of schedule entries as a readable list of times
+ * @param {Array<{hour: number, minute: number}>} entries - Schedule entries
+ * @returns {string} Times joined with commas and "and" (e.g., "7:00 PM and 10:00 PM")
+ */
+function formatTimeList(entries) {
+  const times = entries.map((entry) => formatTime(entry.hour, entry.minute));
+  if (times.length <= 1) {
+    return times.join("");
+  }
+  return `${times.slice(0, -1).join(", ")} and ${times[times.length - 1]}`;
+}
@@ -0,0 +1,312 @@
+/**
+ * Daily.dev Streak Keeper - Statistics Script
+ *
+ * This script handles the statistics page functionality:
+ * - Works out the current and longest streak from the per-day history
+ * - Counts the days kept and the completion rate over the last 30, 90 and
+ *   365 days, leaving out paused days and days daily.dev doesn't count
+ * - Shows the average time of day the streak was secured
+ * - Counts how each day was kept: read by hand, auto-clicked on a visit, kept
+ *   by the failsafe or confirmed only by a sync
+ */
+
+"use strict";
+
+// Windows the completion rate is shown for, in days
+const COMPLETION_WINDOWS = [30, 90, 365];
+
+// Storage keys whose changes the statistics are worked out again for
+const STATS_KEYS = [HISTORY_KEY, SETTINGS_KEY, STREAK_RULES_KEY];
+
+/**
+ * Initialize the statistics page when the DOM is fully loaded
+ */
+document.addEventListener("DOMContentLoaded", () => {
+  initializeStats();
+});
+
+/**
+ * Show the statistics and keep them current while the history changes
+ */
+function initializeStats() {
+  try {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && STATS_KEYS.some((key) => changes[key])) {
+        loadAndRenderStats();
+      }
+    });
+
+    loadAndRenderStats();
+  } catch (error) {
+    console.error("Error initializing statistics page:", error);
+  }
+}
+
+/**
+ * Load the history, settings and streak rules and show the statistics
+ */
+function loadAndRenderStats() {
+  loadSettings((settings) => {
+    loadStreakRules((rules) => {
+      loadHistory((history) => {
+        renderStats(computeStreakStats(history, settings, rules));
+      });
+    });
+  });
+}
+
+/**
+ * Turn a history key back into a date
+ * @param {string} key - The date key ("YYYY-MM-DD")
+ * @returns {Date} Local midnight of the day
+ */
+function parseDateKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Work out what a day means for the streak
+ * @param {string} key - The day's date key
+ * @param {Object|undefined} entry - The day's history entry
+ * @param {Object} settings - The settings object, used to find paused days
+ * @param {Object} rules - The streak rules, used to find days daily.dev doesn't count
+ * @returns {string} "kept", "frozen" (missed but covered by a freeze), "excused" (paused or not counted) or "missed"
+ */
+function getDayOutcome(key, entry, settings, rules) {
+  if (entry && entry.maintained) {
+    return "kept";
+  }
+  if ((entry && entry.paused) || getPauseRange(settings, key)) {
+    return "excused";
+  }
+  if (!isReadingDay(rules, parseDateKey(key))) {
+    return "excused";
+  }
+  if (entry && entry.frozen) {
+    return "frozen";
+  }
+  return "missed";
+}
+
+/**
+ * Work out the statistics from the per-day history
+ * Days before the first recorded day are unknown and left out. Today only
+ * counts once it's kept, since it can still be.
+ * @param {Object} history - History entries keyed by date
+ * @param {Object} settings - The settings object
+ * @param {Object} rules - The streak rules
+ * @returns {{currentStreak: number, longestStreak: number, daysKept: number, firstKey: string|null, completion: Array<{days: number, kept: number, counted: number}>, averageMinutes: number|null, methods: Object}} The statistics
+ */
+function computeStreakStats(history, settings, rules) {
+  const todayKey = getDateKey(getStreakDate(settings));
+  const keys = Object.keys(history)
+    .filter((key) => key <= todayKey)
+    .sort();
+  const firstKey = keys[0] || null;
+
+  // Walk the record day by day. A run's length is the kept days in it, or the
+  // streak count daily.dev reported if the streak started before the record.
+  let run = 0;
+  let runCount = 0;
+  let longestStreak = 0;
+  const outcomes = {};
+  if (firstKey) {
+    const date = parseDateKey(firstKey);
+    for (let key = firstKey; key <= todayKey; key = getDateKey(date)) {
+      const entry = history[key];
+      const outcome = getDayOutcome(key, entry, settings, rules);
+      outcomes[key] = outcome;
+
+      if (outcome === "kept") {
+        run++;
+        if (typeof entry.streakCount === "number") {
+          runCount = Math.max(runCount, entry.streakCount);
+        }
+      } else if (outcome === "missed" && key !== todayKey) {
+        longestStreak = Math.max(longestStreak, run, runCount);
+        run = 0;
+        runCount = 0;
+      }
+
+      date.setDate(date.getDate() + 1);
+    }
+  }
+  const currentStreak = Math.max(run, runCount);
+  longestStreak = Math.max(longestStreak, currentStreak);
+
+  const completion = COMPLETION_WINDOWS.map((days) => {
+    const date = parseDateKey(todayKey);
+    let kept = 0;
+    let counted = 0;
+    for (let i = 0; i < days; i++) {
+      const key = getDateKey(date);
+      const outcome = outcomes[key];
+      if (outcome === "kept") {
+        kept++;
+        counted++;
+      } else if (
+        (outcome === "missed" || outcome === "frozen") &&
+        key !== todayKey
+      ) {
+        counted++;
+      }
+      date.setDate(date.getDate() - 1);
+    }
+    return { days: days, kept: kept, counted: counted };
+  });
+
+  const keptEntries = keys
+    .map((key) => history[key])
+    .filter((entry) => entry.maintained);
+
+  const methods = { unknown: 0 };
+  for (const method of Object.keys(HISTORY_METHODS)) {
+    methods[method] = 0;
+  }
+  for (const entry of keptEntries) {
+    if (entry.method in HISTORY_METHODS) {
+      methods[entry.method]++;
+    } else {
+      methods.unknown++;
+    }
+  }
+
+  return {
+    currentStreak: currentStreak,
+    longestStreak: longestStreak,
+    daysKept: keptEntries.length,
+    firstKey: firstKey,
+    completion: completion,
+    averageMinutes: getAverageKeptMinutes(keptEntries, settings),
+    methods: methods,
+  };
+}
+
+/**
+ * Average the time of day the streak was secured
+ * Times are measured from the start of the streak day, so with a rollover
+ * hour set, a read after midnight but before the rollover counts as late in
+ * the day it kept rather than early.
+ * @param {Array<Object>} entries - History entries of kept days
+ * @param {Object} settings - The settings object, for the timezone and rollover hour
+ * @returns {number|null} Minutes since midnight in the streak timezone, or null if no times were recorded
+ */
+function getAverageKeptMinutes(entries, settings) {
+  const rolloverMinutes = (settings.dayRolloverHour || 0) * 60;
+  const offsets = entries
+    .filter((entry) => typeof entry.time === "number")
+    .map((entry) => {
+      const zoned = getZonedTime(
+        resolveTimeZone(settings),
+        new Date(entry.time)
+      );
+      return (zoned.hour * 60 + zoned.minute - rolloverMinutes + 1440) % 1440;
+    });
+  if (offsets.length === 0) {
+    return null;
+  }
+
+  const average =
+    offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length;
+  return (Math.round(average) + rolloverMinutes) % 1440;
+}
+
+/**
+ * Format a share as a whole percentage
+ * @param {number} part - The part
+ * @param {number} total - The whole
+ * @returns {string} The percentage, or "–" when there is nothing to divide
+ */
+function formatPercent(part, total) {
+  return total > 0 ? `${Math.round((part / total) * 100)}%` : "–";
+}
+
+/**
+ * Fill a table body with rows of text cells
+ * @param {string} id - The ID of the table body
+ * @param {Array<string[]>} rows - The cells of each row
+ */
+function renderRows(id, rows) {
+  const tbody = document.getElementById(id);
+  tbody.textContent = "";
+  for (const cells of rows) {
+    const row = document.createElement("tr");
+    for (const text of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    tbody.appendChild(row);
+  }
+}
+
+/**
+ * Show the statistics
+ * @param {Object} stats - The statistics from computeStreakStats
+ */
+function renderStats(stats) {
+  const dayCount = (count) => `${count} ${count === 1 ? "day" : "days"}`;
+
+  document.getElementById("stats-since").textContent = stats.firstKey
+    ? `Worked out from the history recorded since ${parseDateKey(
+        stats.firstKey
+      ).toDateString()}.`
+    : "No days have been recorded yet.";
+
+  renderRows("stats-streak", [
+    ["Current streak", dayCount(stats.currentStreak)],
+    ["Longest streak", dayCount(stats.longestStreak)],
+    ["Days kept", dayCount(stats.daysKept)],
+    [
+      "Average time secured",
+      stats.averageMinutes === null
+        ? "–"
+        : formatTime(
+            Math.floor(stats.averageMinutes / 60),
+            stats.averageMinutes % 60
+          ),
+    ],
+  ]);
+
+  renderRows(
+    "stats-completion",
+    stats.completion.map((window) => [
+      `Last ${window.days} days`,
+      `${window.kept} of ${dayCount(window.counted)}`,
+      formatPercent(window.kept, window.counted),
+    ])
+  );
+
+  const methodRows = Object.entries(HISTORY_METHODS).map(([method, name]) => [
+    name,
+    dayCount(stats.methods[method]),
+    formatPercent(stats.methods[method], stats.daysKept),
+  ]);
+  if (stats.methods.unknown > 0) {
+    methodRows.push([
+      "Not recorded (kept before this was tracked)",
+      dayCount(stats.methods.unknown),
+      formatPercent(stats.methods.unknown, stats.daysKept),
+    ]);
+  }
+  renderRows("stats-methods", methodRows);
+
+  const byExtension = stats.methods.autoClick + stats.methods.failsafe;
+  const byYou = stats.methods.manual;
+  document.getElementById("stats-methods-summary").textContent =
+    byYou + byExtension > 0
+      ? `Of the ${dayCount(
+          byYou + byExtension
+        )} read in the browser, you read daily.dev yourself on ${byYou} (${formatPercent(
+          byYou,
+          byYou + byExtension
+        )}) and the extension read for you on ${byExtension}.${
+          stats.methods.sync > 0
+            ? ` ${dayCount(stats.methods.sync)} ${
+                stats.methods.sync === 1 ? "was" : "were"
+              } read somewhere the extension couldn't see.`
+            : ""
+        }`
+      : "";
+}